@@ -9,183 +9,19 @@ import { Switch } from "@/components/ui/switch";
 import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, Legend, ResponsiveContainer, BarChart, Bar } from "recharts";
 import { motion } from "framer-motion";
 
-type FilingStatus = "single" | "mfj";
-
-type RateBracket = { upTo: number; rate: number };
-
-const DEFAULTS = {
-  federalStd: { single: 15000, mfj: 30000 },
-  caStd: { single: 5540, mfj: 11080 },
-  ssRate: 0.062,
-  ssWageBase: 176100,
-  medicareRate: 0.0145,
-  addlMedicareRate: 0.009,
-  addlMedicareThreshold: { single: 200000, mfj: 250000 },
-  caSdiRate: 0.012,
-  k401Limit: 23000,
-  k401Catchup: 0,
-};
-
-const FED_SINGLE: RateBracket[] = [
-  { upTo: 11925, rate: 0.10 },
-  { upTo: 48475, rate: 0.12 },
-  { upTo: 103350, rate: 0.22 },
-  { upTo: 197300, rate: 0.24 },
-  { upTo: 250525, rate: 0.32 },
-  { upTo: 626350, rate: 0.35 },
-  { upTo: Infinity, rate: 0.37 },
-];
-
-const FED_MFJ: RateBracket[] = [
-  { upTo: 23850, rate: 0.10 },
-  { upTo: 96950, rate: 0.12 },
-  { upTo: 206700, rate: 0.22 },
-  { upTo: 394600, rate: 0.24 },
-  { upTo: 501050, rate: 0.32 },
-  { upTo: 751600, rate: 0.35 },
-  { upTo: Infinity, rate: 0.37 },
-];
-
-const CA_SINGLE: RateBracket[] = [
-  { upTo: 10756, rate: 0.01 },
-  { upTo: 25499, rate: 0.02 },
-  { upTo: 40245, rate: 0.04 },
-  { upTo: 55866, rate: 0.06 },
-  { upTo: 70606, rate: 0.08 },
-  { upTo: 360659, rate: 0.093 },
-  { upTo: 432787, rate: 0.103 },
-  { upTo: 721314, rate: 0.113 },
-  { upTo: Infinity, rate: 0.123 },
-];
-
-const CA_MFJ: RateBracket[] = [
-  { upTo: 21512, rate: 0.01 },
-  { upTo: 50998, rate: 0.02 },
-  { upTo: 80490, rate: 0.04 },
-  { upTo: 111732, rate: 0.06 },
-  { upTo: 141212, rate: 0.08 },
-  { upTo: 721318, rate: 0.093 },
-  { upTo: 865574, rate: 0.103 },
-  { upTo: 1442628, rate: 0.113 },
-  { upTo: Infinity, rate: 0.123 },
-];
+import { computePaycheck, projectYears, getTaxYear, FILING_STATUSES } from "./src/tax-engine.js";
 
-function fmt(n: number, d = 2) {
-  return n.toLocaleString(undefined, { maximumFractionDigits: d, minimumFractionDigits: d });
-}
-
-function progressiveTax(taxable: number, brackets: RateBracket[]) {
-  if (taxable <= 0) return 0;
-  let tax = 0;
-  let lower = 0;
-  for (const b of brackets) {
-    const upper = Math.min(taxable, b.upTo);
-    if (upper > lower) tax += (upper - lower) * b.rate;
-    if (taxable <= b.upTo) break;
-    lower = b.upTo;
-  }
-  return tax;
-}
-
-function clamp401k(empPct: number, salary: number, limit: number, catchup: number) {
-  const desired = empPct * salary;
-  const cap = limit + catchup;
-  return Math.min(Math.max(0, desired), cap);
-}
-
-function federalTax2025(taxable: number, fs: FilingStatus) {
-  return progressiveTax(taxable, fs === "single" ? FED_SINGLE : FED_MFJ);
-}
+type FilingStatus = "Single" | "MFJ" | "MFS" | "HOH";
 
-function caTax(taxable: number, fs: FilingStatus) {
-  return progressiveTax(taxable, fs === "single" ? CA_SINGLE : CA_MFJ);
-}
-
-function computeYear({
-  salary,
-  filing,
-  empPct,
-  matchPerDollar,
-  matchUpToPct,
-  fedStd,
-  caStd,
-  k401Limit,
-  k401Catch,
-}: {
-  salary: number;
-  filing: FilingStatus;
-  empPct: number;
-  matchPerDollar: number;
-  matchUpToPct: number;
-  fedStd: number;
-  caStd: number;
-  k401Limit: number;
-  k401Catch: number;
-}) {
-  const emp401 = clamp401k(empPct, salary, k401Limit, k401Catch);
-  const match401 = matchPerDollar * Math.min(empPct, matchUpToPct) * salary;
-  const ss = Math.min(salary, DEFAULTS.ssWageBase) * DEFAULTS.ssRate;
-  const medicareBase = salary * DEFAULTS.medicareRate;
-  const addlMed = Math.max(0, salary - DEFAULTS.addlMedicareThreshold[filing]) * DEFAULTS.addlMedicareRate;
-  const fedTaxable = Math.max(0, salary - emp401 - fedStd);
-  const fedTax = federalTax2025(fedTaxable, filing);
-  const caTaxable = Math.max(0, salary - emp401 - caStd);
-  const cat = caTax(caTaxable, filing);
-  const sdi = salary * DEFAULTS.caSdiRate;
-  const takeHome = salary - emp401 - ss - medicareBase - addlMed - fedTax - cat - sdi;
-  return { salary, emp401, match401, ss, medicare: medicareBase + addlMed, fedTax, caTax: cat, sdi, takeHome };
-}
+// Defaults come from the engine's current tax year
+const RULES = getTaxYear();
 
-function projectYears({
-  startSalary,
-  years,
-  raisePct,
-  filing,
-  empPct,
-  matchPerDollar,
-  matchUpToPct,
-  fedStd,
-  caStd,
-  k401Limit,
-  k401Catch,
-  investReturn,
-  discountRate,
-}: {
-  startSalary: number;
-  years: number;
-  raisePct: number;
-  filing: FilingStatus;
-  empPct: number;
-  matchPerDollar: number;
-  matchUpToPct: number;
-  fedStd: number;
-  caStd: number;
-  k401Limit: number;
-  k401Catch: number;
-  investReturn: number;
-  discountRate: number;
-}) {
-  const rows: any[] = [];
-  let salary = startSalary;
-  let fv = 0;
-  let pv = 0;
-  let cumEmp = 0;
-  let cumMatch = 0;
-  for (let y = 1; y <= years; y++) {
-    const yr = computeYear({ salary, filing, empPct, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch });
-    const contrib = yr.emp401 + yr.match401;
-    fv = fv * (1 + investReturn) + contrib;
-    pv += contrib / Math.pow(1 + discountRate, y);
-    cumEmp += yr.emp401;
-    cumMatch += yr.match401;
-    rows.push({ year: y, salary, employee401k: yr.emp401, employerMatch: yr.match401, totalContrib: contrib, takeHome: yr.takeHome, cumEmp, cumMatch, cumTotal: cumEmp + cumMatch });
-    salary = salary * (1 + raisePct);
-  }
-  return { rows, fv, pv, cumEmp, cumMatch };
+function fmt(n: number, d = 2) {
+  return n.toLocaleString(undefined, { maximumFractionDigits: d, minimumFractionDigits: d });
 }
 
 export default function App() {
-  const [filing, setFiling] = useState<FilingStatus>("mfj");
+  const [filing, setFiling] = useState<FilingStatus>("MFJ");
   const [salary, setSalary] = useState<number>(100000);
   const [payFreq, setPayFreq] = useState<"weekly" | "biweekly" | "semimonthly" | "monthly">("weekly");
   const [emp401Pct, setEmp401Pct] = useState<number>(0.06);
@@ -195,24 +31,39 @@ export default function App() {
   const [raisePct, setRaisePct] = useState<number>(0.03);
   const [investReturn, setInvestReturn] = useState<number>(0.07);
   const [discountRate, setDiscountRate] = useState<number>(0.04);
-  const [fedStdSingle, setFedStdSingle] = useState<number>(DEFAULTS.federalStd.single);
-  const [fedStdMFJ, setFedStdMFJ] = useState<number>(DEFAULTS.federalStd.mfj);
-  const [caStdSingle, setCaStdSingle] = useState<number>(DEFAULTS.caStd.single);
-  const [caStdMFJ, setCaStdMFJ] = useState<number>(DEFAULTS.caStd.mfj);
-  const [k401Limit, setK401Limit] = useState<number>(DEFAULTS.k401Limit);
-  const [k401Catch, setK401Catch] = useState<number>(DEFAULTS.k401Catchup);
+  const [fedStdByStatus, setFedStdByStatus] = useState<Record<FilingStatus, number>>({ ...RULES.federal.standardDeduction });
+  const [caStdByStatus, setCaStdByStatus] = useState<Record<FilingStatus, number>>({ ...RULES.ca.standardDeduction });
+  const [k401Limit, setK401Limit] = useState<number>(RULES.retirement.limit401k);
+  const [k401Catch, setK401Catch] = useState<number>(0);
   const [showAdvanced, setShowAdvanced] = useState<boolean>(false);
 
-  const fedStd = filing === "single" ? fedStdSingle : fedStdMFJ;
-  const caStd = filing === "single" ? caStdSingle : caStdMFJ;
+  const fedStd = fedStdByStatus[filing];
+  const caStd = caStdByStatus[filing];
+
+  // The shared engine takes whole-number percentages; this component stores fractions.
+  const inputs = {
+    status: filing,
+    salary,
+    percent401k: emp401Pct * 100,
+    matchRate: matchPerDollar,
+    matchCap: matchUpToPct * 100,
+    federalDeduct: fedStd,
+    caDeduct: caStd,
+    limit401k: k401Limit,
+    catchup401k: k401Catch,
+    raise: raisePct * 100,
+    years,
+    returnRate: investReturn * 100,
+    discountRate: discountRate * 100,
+  };
 
   const now = useMemo(() => {
-    const yr = computeYear({ salary, filing, empPct: emp401Pct, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch });
-    const yrNo401 = computeYear({ salary, filing, empPct: 0, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch });
+    const yr = computePaycheck(inputs);
+    const yrNo401 = computePaycheck({ ...inputs, percent401k: 0 });
     return { yr, yrNo401 };
   }, [salary, filing, emp401Pct, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch]);
 
-  const proj = useMemo(() => projectYears({ startSalary: salary, years, raisePct, filing, empPct: emp401Pct, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch, investReturn, discountRate }), [salary, years, raisePct, filing, emp401Pct, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch, investReturn, discountRate]);
+  const proj = useMemo(() => projectYears(inputs), [salary, years, raisePct, filing, emp401Pct, matchPerDollar, matchUpToPct, fedStd, caStd, k401Limit, k401Catch, investReturn, discountRate]);
 
   const payDiv = { weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12 }[payFreq];
 
@@ -224,10 +75,10 @@ export default function App() {
   };
 
   const barData = [
-    { name: "Annual", TakeHome: now.yr.takeHome, Federal: now.yr.fedTax, FICA: now.yr.ss + now.yr.medicare, CA: now.yr.caTax, SDI: now.yr.sdi, Emp401k: now.yr.emp401 },
+    { name: "Annual", TakeHome: now.yr.takeHome, Federal: now.yr.fedTax, FICA: now.yr.fica, CA: now.yr.caTax, SDI: now.yr.casdi, Emp401k: now.yr.employee401k },
   ];
 
-  const projChart = proj.rows.map(r => ({ year: r.year, TakeHome: r.takeHome, Emp401k: r.employee401k, Match: r.employerMatch, CumTotal: r.cumTotal }));
+  const projChart = proj.data.map(r => ({ year: r.year, TakeHome: r.takeHome, Emp401k: r.employee, Match: r.match, CumTotal: r.cumulative }));
 
   return (
     <div className="p-6 max-w-6xl mx-auto space-y-6">
@@ -240,8 +91,9 @@ export default function App() {
             <Select value={filing} onValueChange={(v: any) => setFiling(v)}>
               <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
               <SelectContent>
-                <SelectItem value="single">Single</SelectItem>
-                <SelectItem value="mfj">Married Filing Jointly</SelectItem>
+                {FILING_STATUSES.map(s => (
+                  <SelectItem key={s.value} value={s.value}>{s.label}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
           </div>
@@ -310,22 +162,18 @@ export default function App() {
       {showAdvanced && (
         <Card className="shadow-md rounded-2xl">
           <CardContent className="p-4 md:p-6 grid grid-cols-1 md:grid-cols-5 gap-4 text-sm">
-            <div>
-              <Label>Federal Std Deduction (Single)</Label>
-              <Input type="number" value={fedStdSingle} onChange={e => setFedStdSingle(Number(e.target.value || 0))} />
-            </div>
-            <div>
-              <Label>Federal Std Deduction (MFJ)</Label>
-              <Input type="number" value={fedStdMFJ} onChange={e => setFedStdMFJ(Number(e.target.value || 0))} />
-            </div>
-            <div>
-              <Label>CA Std Deduction (Single)</Label>
-              <Input type="number" value={caStdSingle} onChange={e => setCaStdSingle(Number(e.target.value || 0))} />
-            </div>
-            <div>
-              <Label>CA Std Deduction (MFJ)</Label>
-              <Input type="number" value={caStdMFJ} onChange={e => setCaStdMFJ(Number(e.target.value || 0))} />
-            </div>
+            {FILING_STATUSES.map(s => (
+              <div key={`fed-${s.value}`}>
+                <Label>Federal Std Deduction ({s.value})</Label>
+                <Input type="number" value={fedStdByStatus[s.value]} onChange={e => setFedStdByStatus({ ...fedStdByStatus, [s.value]: Number(e.target.value || 0) })} />
+              </div>
+            ))}
+            {FILING_STATUSES.map(s => (
+              <div key={`ca-${s.value}`}>
+                <Label>CA Std Deduction ({s.value})</Label>
+                <Input type="number" value={caStdByStatus[s.value]} onChange={e => setCaStdByStatus({ ...caStdByStatus, [s.value]: Number(e.target.value || 0) })} />
+              </div>
+            ))}
             <div>
               <Label>401(k) Elective Limit ($)</Label>
               <Input type="number" value={k401Limit} onChange={e => setK401Limit(Number(e.target.value || 0))} />
@@ -345,12 +193,12 @@ export default function App() {
           <div className="text-sm text-muted-foreground">All values are annual unless noted.</div>
           <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
             <div>Gross Salary</div><div className="text-right">${fmt(now.yr.salary)}</div>
-            <div>Employee 401(k)</div><div className="text-right">${fmt(now.yr.emp401)}</div>
-            <div>Employer Match</div><div className="text-right">${fmt(now.yr.match401)}</div>
+            <div>Employee 401(k)</div><div className="text-right">${fmt(now.yr.employee401k)}</div>
+            <div>Employer Match</div><div className="text-right">${fmt(now.yr.match)}</div>
             <div>Federal Tax</div><div className="text-right">${fmt(now.yr.fedTax)}</div>
-            <div>FICA (SS+Med)</div><div className="text-right">${fmt(now.yr.ss + now.yr.medicare)}</div>
+            <div>FICA (SS+Med)</div><div className="text-right">${fmt(now.yr.fica)}</div>
             <div>CA Income Tax</div><div className="text-right">${fmt(now.yr.caTax)}</div>
-            <div>CA SDI</div><div className="text-right">${fmt(now.yr.sdi)}</div>
+            <div>CA SDI</div><div className="text-right">${fmt(now.yr.casdi)}</div>
             <div className="font-medium">Take‑Home (Annual)</div><div className="text-right font-medium">${fmt(now.yr.takeHome)}</div>
             <div>Take‑Home ({payFreq})</div><div className="text-right">${fmt(payNow.takeHome)}</div>
             <div>Take‑Home w/o 401(k) ({payFreq})</div><div className="text-right">${fmt(payNow.takeHomeNo401)}</div>
@@ -363,11 +211,11 @@ export default function App() {
           <div className="text-sm text-muted-foreground">Assumes raises and return applied annually; end‑of‑year contributions.</div>
           <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
             <div>Years</div><div className="text-right">{years}</div>
-            <div>Cumulative Employee</div><div className="text-right">${fmt(proj.cumEmp)}</div>
-            <div>Cumulative Match</div><div className="text-right">${fmt(proj.cumMatch)}</div>
-            <div className="font-medium">Total Contributions</div><div className="text-right font-medium">${fmt(proj.cumEmp + proj.cumMatch)}</div>
-            <div>Future Value (@ {Math.round(investReturn*100)}%)</div><div className="text-right">${fmt(proj.fv)}</div>
-            <div>Present Value (@ {Math.round(discountRate*100)}%)</div><div className="text-right">${fmt(proj.pv)}</div>
+            <div>Cumulative Employee</div><div className="text-right">${fmt(proj.totalEmployee)}</div>
+            <div>Cumulative Match</div><div className="text-right">${fmt(proj.totalMatch)}</div>
+            <div className="font-medium">Total Contributions</div><div className="text-right font-medium">${fmt(proj.totalEmployee + proj.totalMatch)}</div>
+            <div>Future Value (@ {Math.round(investReturn*100)}%)</div><div className="text-right">${fmt(proj.futureValue)}</div>
+            <div>Present Value (@ {Math.round(discountRate*100)}%)</div><div className="text-right">${fmt(proj.presentValue)}</div>
           </div>
         </CardContent></Card>
 
@@ -436,7 +284,7 @@ export default function App() {
 
       <Card className="rounded-2xl">
         <CardContent className="p-4 md:p-6 text-xs text-muted-foreground">
-          <b>Methodology:</b> Employee 401(k) reduces federal and CA taxable income. FICA and CA SDI apply to gross. CA brackets use 2024 tables; federal uses 2025 brackets. Projection assumes end‑of‑year contributions.
+          <b>Methodology:</b> Employee 401(k) reduces federal and CA taxable income. FICA and CA SDI apply to gross. Federal and CA brackets use the {RULES.year} tables. Projection assumes end‑of‑year contributions.
         </CardContent>
       </Card>
     </div>
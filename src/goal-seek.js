@@ -0,0 +1,153 @@
+/*
+ * Goal seek: work backwards from a result to the input that produces it.
+ *
+ * The engine only runs forward, from salary and contribution rate to take-home
+ * and balances.  These solvers invert it numerically by bisection, which
+ * needs nothing from the engine but that the result moves one way as the
+ * input grows: take-home rises with salary and falls with the contribution
+ * rate, and the projected balance rises with the contribution rate.
+ *
+ * Goals apply to the first earner; a spouse's inputs are held fixed.  Each
+ * result carries the marginal tax rates at the solved input and what an extra
+ * pretax 401(k) dollar costs in take-home there.
+ */
+
+import { PAY_PERIODS, computePaycheck, computePaySchedule, projectYears, calcMarginalRates } from './tax-engine.js';
+
+export const GOALS = {
+  takeHome: 'Salary for a net paycheck',
+  match: '401(k) % for the most match above a minimum paycheck',
+  balance: '401(k) % to reach a balance',
+};
+
+// Search precision: a cent of salary, a thousandth of a contribution percent
+const SALARY_TOLERANCE = 0.01;
+const PERCENT_TOLERANCE = 0.001;
+// No salary search runs past this
+const MAX_SALARY = 100000000;
+
+/**
+ * Smallest x in [low, high], to within `tolerance`, for which a monotonic
+ * `test` holds.  Null when it does not hold even at `high`.
+ */
+export function bisect(test, low, high, tolerance) {
+  if (test(low)) return low;
+  if (!test(high)) return null;
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (test(mid)) high = mid;
+    else low = mid;
+  }
+  return high;
+}
+
+// Like the pay schedule, an earner without a pay frequency is paid weekly
+const paycheckOf = (inputs) =>
+  computePaycheck(inputs).earners[0].takeHome / (PAY_PERIODS[inputs.payFreq] || PAY_PERIODS.weekly);
+
+/**
+ * What an extra `step` dollars a year of pretax 401(k) deferral costs in
+ * take-home, per dollar deferred (`perDollar`, one minus the tax saved) and
+ * per dollar added to the account counting any extra match (`perDollarSaved`).
+ * Both are null when the deferral limit leaves no room for more.
+ */
+export function contributionCost(inputs, step = 100) {
+  const { salary = 0, percent401k = 0 } = inputs;
+  const base = computePaycheck(inputs);
+  const next = salary > 0 ? computePaycheck({ ...inputs, percent401k: percent401k + (step / salary) * 100 }) : base;
+  const deferred = next.employee401k - base.employee401k;
+  if (deferred < 0.01) return { perDollar: null, perDollarSaved: null };
+  const cost = base.takeHome - next.takeHome;
+  const employer = next.match + next.nonElective - (base.match + base.nonElective);
+  return { perDollar: cost / deferred, perDollarSaved: cost / (deferred + employer) };
+}
+
+function solved(goal, field, value, inputs, result) {
+  const at = value === null ? inputs : { ...inputs, [field]: value };
+  return {
+    goal,
+    field,
+    value,
+    feasible: value !== null,
+    ...result,
+    marginal: calcMarginalRates(at),
+    cost: contributionCost(at),
+  };
+}
+
+/**
+ * The salary whose paychecks net `perPaycheck` after tax, 401(k) and
+ * benefits, at the current contribution rates.
+ */
+export function solveSalaryForPaycheck(inputs, perPaycheck) {
+  const at = (salary) => paycheckOf({ ...inputs, salary });
+  let high = Math.max(100000, 2 * (inputs.salary || 0));
+  while (at(high) < perPaycheck && high < MAX_SALARY) high *= 2;
+  const salary = bisect((s) => at(s) >= perPaycheck, 0, Math.min(high, MAX_SALARY), SALARY_TOLERANCE);
+  return solved('takeHome', 'salary', salary, inputs, {
+    perPaycheck: salary === null ? null : at(salary),
+  });
+}
+
+/**
+ * The pretax contribution rate that earns the most employer match while each
+ * paycheck still nets at least `minPerPaycheck`.  The match grows with the
+ * rate up to the top match tier or, when the plan matches per paycheck, the
+ * rate that spreads the deferral limit across the year, so those rates and
+ * the take-home ceiling are the only candidates; the lowest one earning the
+ * most wins.  `fullMatch` is the best match with no take-home floor.
+ */
+export function solveRateForMatch(inputs, minPerPaycheck) {
+  const { rothPercent401k = 0, matchTiers = [{ upTo: inputs.matchCap || 0 }] } = inputs;
+  const at = (percent401k) => computePaycheck({ ...inputs, percent401k });
+  const { evenPercent } = computePaySchedule(inputs)[0];
+  const candidates = [0, ...matchTiers.map((t) => t.upTo), evenPercent]
+    .map((p) => Math.min(100, Math.max(0, p - rothPercent401k)))
+    .sort((a, b) => a - b);
+  const best = (rates) =>
+    rates.reduce(
+      (top, p) => {
+        const match = at(p).match;
+        return match > top.match + 0.005 ? { percent: p, match } : top;
+      },
+      { percent: 0, match: -1 },
+    );
+  const fullMatch = best(candidates).match;
+  const shortOf = bisect((p) => paycheckOf({ ...inputs, percent401k: p }) < minPerPaycheck, 0, 100, PERCENT_TOLERANCE);
+  const ceiling = shortOf === null ? 100 : shortOf - PERCENT_TOLERANCE;
+  if (ceiling < 0) return solved('match', 'percent401k', null, inputs, { match: null, fullMatch, perPaycheck: null });
+  const within = best([...candidates.filter((p) => p <= ceiling), ceiling]);
+  return solved('match', 'percent401k', within.percent, inputs, {
+    match: within.match,
+    fullMatch,
+    perPaycheck: paycheckOf({ ...inputs, percent401k: within.percent }),
+  });
+}
+
+/**
+ * The pretax contribution rate whose projected balance reaches `target` by
+ * the end of year `years` (the projection's own length by default).
+ * `maxBalance` is what contributing up to the limit would reach instead.
+ */
+export function solveRateForBalance(inputs, target, years = inputs.years) {
+  const balanceAt = (percent401k) => projectYears({ ...inputs, percent401k, years, retirementYears: 0 }).futureValue;
+  const percent = bisect((p) => balanceAt(p) >= target, 0, 100, PERCENT_TOLERANCE);
+  return solved('balance', 'percent401k', percent, inputs, {
+    years,
+    balance: percent === null ? null : balanceAt(percent),
+    maxBalance: balanceAt(100),
+  });
+}
+
+/**
+ * Run one of the GOALS: 'takeHome' solves the salary for a net paycheck of
+ * `target`, 'match' the contribution rate for the most match with paychecks
+ * of at least `target`, and 'balance' the contribution rate that grows the
+ * balance to `target` by year `years`.
+ */
+export function goalSeek(inputs, { goal, target, years }) {
+  if (goal === 'takeHome') return solveSalaryForPaycheck(inputs, target);
+  if (goal === 'match') return solveRateForMatch(inputs, target);
+  if (goal === 'balance') return solveRateForBalance(inputs, target, years);
+  throw new Error(`Unknown goal: ${goal}`);
+}
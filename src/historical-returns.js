@@ -0,0 +1,34 @@
+/*
+ * Historical annual returns for bootstrapped Monte Carlo projections.
+ *
+ * Calendar-year total returns of the S&P 500, dividends reinvested, in
+ * percent and rounded to two decimals.  They are nominal (not adjusted for
+ * inflation) and ignore fund expenses, so they suit a 401(k) invested in a
+ * broad US stock index rather than a mixed portfolio.
+ *
+ * Source: Aswath Damodaran, "Historical Returns on Stocks, Bonds and Bills",
+ * NYU Stern School of Business (January 2025 update).
+ */
+
+export const SP500_TOTAL_RETURNS = {
+  1928: 43.81, 1929: -8.3, 1930: -25.12, 1931: -43.84, 1932: -8.64,
+  1933: 49.98, 1934: -1.19, 1935: 46.74, 1936: 31.94, 1937: -35.34,
+  1938: 29.28, 1939: -1.1, 1940: -10.67, 1941: -12.77, 1942: 19.17,
+  1943: 25.06, 1944: 19.03, 1945: 35.82, 1946: -8.43, 1947: 5.2,
+  1948: 5.7, 1949: 18.3, 1950: 30.81, 1951: 23.68, 1952: 18.15,
+  1953: -1.21, 1954: 52.56, 1955: 32.6, 1956: 7.44, 1957: -10.46,
+  1958: 43.72, 1959: 12.06, 1960: 0.34, 1961: 26.64, 1962: -8.81,
+  1963: 22.61, 1964: 16.42, 1965: 12.4, 1966: -9.97, 1967: 23.8,
+  1968: 10.81, 1969: -8.24, 1970: 3.56, 1971: 14.22, 1972: 18.76,
+  1973: -14.31, 1974: -25.9, 1975: 37.0, 1976: 23.83, 1977: -6.98,
+  1978: 6.51, 1979: 18.52, 1980: 31.74, 1981: -4.7, 1982: 20.42,
+  1983: 22.34, 1984: 6.15, 1985: 31.24, 1986: 18.49, 1987: 5.81,
+  1988: 16.54, 1989: 31.48, 1990: -3.06, 1991: 30.23, 1992: 7.49,
+  1993: 9.97, 1994: 1.33, 1995: 37.2, 1996: 22.68, 1997: 33.1,
+  1998: 28.34, 1999: 20.89, 2000: -9.03, 2001: -11.85, 2002: -21.97,
+  2003: 28.36, 2004: 10.74, 2005: 4.83, 2006: 15.61, 2007: 5.48,
+  2008: -36.55, 2009: 25.94, 2010: 14.82, 2011: 2.1, 2012: 15.89,
+  2013: 32.15, 2014: 13.52, 2015: 1.38, 2016: 11.77, 2017: 21.61,
+  2018: -4.23, 2019: 31.21, 2020: 18.02, 2021: 28.47, 2022: -18.01,
+  2023: 26.06, 2024: 24.88,
+};
@@ -0,0 +1,124 @@
+/*
+ * Monte Carlo projection of the 401(k) balance.
+ *
+ * projectYears grows the balance at one fixed `returnRate`, which makes its
+ * future value look more certain than it is.  simulateProjection keeps the
+ * same contributions (they depend on salary and limits, not on returns) and
+ * replays them against thousands of random return sequences, reporting the
+ * spread of outcomes as percentiles.
+ *
+ * Returns are drawn either from a lognormal distribution with the given
+ * arithmetic mean and volatility, or by bootstrapping (sampling years with
+ * replacement) from the historical table in historical-returns.js.  A seeded
+ * generator makes every run repeatable, so the bands stay put while unrelated
+ * inputs change.  Pure like the engine; the page runs it in a Web Worker.
+ */
+
+import { projectYears, compoundingSteps, depositGrowth } from './tax-engine.js';
+import { SP500_TOTAL_RETURNS } from './historical-returns.js';
+
+export const RETURN_MODELS = {
+  normal: 'Mean and volatility',
+  historical: 'Historical S&P 500 returns',
+};
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1).
+ */
+export function seededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Annual return generator (as a fraction) for a model.  The lognormal draw
+ * is parameterized so its arithmetic mean and standard deviation equal `mean`
+ * and `volatility` (percents), and it can never lose more than everything.
+ */
+function returnSampler(model, { mean = 7, volatility = 15, history = SP500_TOTAL_RETURNS }, random) {
+  if (model === 'historical') {
+    const returns = Object.values(history).map((r) => r / 100);
+    return () => returns[Math.floor(random() * returns.length)];
+  }
+  const m = mean / 100;
+  const v = volatility / 100;
+  const sigma2 = Math.log(1 + (v * v) / ((1 + m) * (1 + m)));
+  const mu = Math.log(1 + m) - sigma2 / 2;
+  const sigma = Math.sqrt(sigma2);
+  return () => {
+    // Box-Muller; 1 - random() keeps the logarithm finite
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.exp(mu + sigma * z) - 1;
+  };
+}
+
+/**
+ * Linear-interpolated percentile (0–100) of an ascending array.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Simulate the balance at the end of each projected year over `paths`
+ * random return sequences.  `model` is 'normal' (lognormal around `mean`,
+ * which defaults to the projection's `returnRate`, with `volatility`) or
+ * 'historical'.  Contributions and their timing within the year come from
+ * projectYears, so a simulation with zero volatility reproduces its
+ * `futureValue` exactly.
+ *
+ * Returns the 10th, 50th and 90th percentile balance for each year, the
+ * deterministic balance alongside for reference, and the share of paths
+ * whose final balance reaches `target`.
+ */
+export function simulateProjection(
+  inputs,
+  { model = 'normal', mean = inputs.returnRate ?? 0, volatility = 15, paths = 2000, seed = 1, target = 0, history } = {},
+) {
+  const proj = projectYears({ ...inputs, retirementYears: 0 });
+  const steps = compoundingSteps(inputs.compounding, inputs.payFreq);
+  const start = (inputs.startingBalance || 0) + (inputs.startingRothBalance || 0);
+  const draw = returnSampler(model, { mean, volatility, history }, seededRandom(seed));
+  const count = Math.max(1, parseInt(paths, 10) || 0);
+  // balances[year][path]
+  const balances = proj.data.map(() => new Float64Array(count));
+  for (let p = 0; p < count; p++) {
+    let balance = start;
+    proj.data.forEach((row, i) => {
+      const r = draw();
+      balance = balance * (1 + r) + row.total * depositGrowth(steps, r);
+      balances[i][p] = balance;
+    });
+  }
+  const data = proj.data.map((row, i) => {
+    const sorted = balances[i].sort();
+    return {
+      year: row.year,
+      p10: percentile(sorted, 10),
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      deterministic: row.balance,
+    };
+  });
+  const final = balances.length > 0 ? balances[balances.length - 1] : new Float64Array(count).fill(start);
+  const reached = final.reduce((n, balance) => n + (balance >= target ? 1 : 0), 0);
+  const last = data[data.length - 1];
+  return {
+    model,
+    paths: count,
+    data,
+    final: last ? { p10: last.p10, p50: last.p50, p90: last.p90 } : { p10: start, p50: start, p90: start },
+    target,
+    probability: reached / count,
+  };
+}
@@ -0,0 +1,17 @@
+/*
+ * Web Worker wrapper around simulateProjection, so thousands of paths run
+ * off the main thread and the form stays responsive.  Load it as a module
+ * worker; each message is `{ id, inputs, options }` and the reply echoes
+ * `id` so the page can drop results for inputs that have since changed.
+ */
+
+import { simulateProjection } from './monte-carlo.js';
+
+self.onmessage = (event) => {
+  const { id, inputs, options } = event.data;
+  try {
+    self.postMessage({ id, result: simulateProjection(inputs, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
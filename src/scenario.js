@@ -0,0 +1,459 @@
+/*
+ * Scenarios: the planner's full set of form inputs as one plain object.
+ *
+ * The page keeps the current scenario in the URL hash (so a link reproduces
+ * it) and in localStorage (so a reload keeps it), and saves named scenarios
+ * for side-by-side comparison.  Serialized scenarios carry a version number
+ * and every field, so a link keeps its meaning when a default changes;
+ * anything that does not parse, or comes from a newer version, is ignored
+ * rather than half-applied.
+ *
+ * Like the engine this module is pure.  Storage functions take the storage
+ * object (window.localStorage in the page) as an argument.
+ */
+
+import {
+  DEFAULT_TAX_YEAR,
+  SUPPORTED_TAX_YEARS,
+  FILING_STATUSES,
+  PAY_PERIODS,
+  BENEFIT_TYPES,
+  SUPPLEMENTAL_TYPES,
+  computePaycheck,
+  compareWithholding,
+  projectYears,
+} from './tax-engine.js';
+
+export const SCENARIO_VERSION = 1;
+
+/**
+ * An employer's 401(k) plan: match tiers (see calcEmployerMatch), whether the
+ * match is trued up at year end (as the engine assumes unless told otherwise),
+ * any non-elective contribution, the vesting schedule and the years of service
+ * already completed.
+ */
+export const DEFAULT_EMPLOYER = {
+  matchTiers: [{ upTo: 6, rate: 0.5 }],
+  matchTrueUp: true,
+  nonElectivePercent: 0,
+  vesting: { type: 'immediate', years: 3 },
+  yearsOfService: 0,
+};
+
+/**
+ * Defaults for every input.  Year-dependent amounts (deductions and limits)
+ * are null, meaning "the tax year's figure for the chosen filing status".
+ */
+export const DEFAULT_SCENARIO = {
+  taxYear: DEFAULT_TAX_YEAR,
+  status: 'MFJ',
+  salary: 100000,
+  age: 35,
+  children: 0,
+  otherDependents: 0,
+  payFreq: 'weekly',
+  percent401k: 6,
+  rothPercent401k: 0,
+  afterTaxPercent: 0,
+  convertAfterTax: true,
+  retirementTaxRate: 20,
+  employer: DEFAULT_EMPLOYER,
+  raise: 3,
+  years: 30,
+  returnRate: 7,
+  discountRate: 4,
+  inflation: 2.5,
+  startingBalance: 0,
+  startingRothBalance: 0,
+  compounding: 'paycheck',
+  retirementYears: 30,
+  withdrawalMethod: 'percent',
+  withdrawalAmount: 60000,
+  withdrawalRate: 4,
+  retirementReturnRate: 5,
+  monteCarlo: false,
+  returnModel: 'normal',
+  volatility: 15,
+  simulationPaths: 2000,
+  targetBalance: 1000000,
+  leaveAfterYears: 0,
+  federalDeduct: null,
+  caDeduct: null,
+  limit401k: null,
+  limit415c: null,
+  twoEarner: false,
+  spouseSalary: 80000,
+  spouseAge: 35,
+  spousePayFreq: 'biweekly',
+  spousePercent401k: 6,
+  spouseRothPercent401k: 0,
+  spouseAfterTaxPercent: 0,
+  spouseEmployer: DEFAULT_EMPLOYER,
+  spouseLimit401k: null,
+  spouseMultipleJobs: true,
+  benefits: [],
+  supplemental: [],
+  supplementalGrowth: 3,
+  w4: {},
+  de4: {},
+};
+
+// Year-dependent fields hold a number or null
+const NULLABLE = new Set(['federalDeduct', 'caDeduct', 'limit401k', 'limit415c', 'spouseLimit401k']);
+
+const kindOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Readers return a field's value as the engine may take it, or undefined if
+// it is unusable.  Numbers are clamped to the range the form allows and
+// counts rounded to whole numbers, so a hand-edited link cannot ask for a
+// ten-million-year projection.
+const number = (min = -Infinity, max = Infinity) => (value) =>
+  typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : undefined;
+const count = (min = 0, max = Infinity) => (value) => {
+  const n = number(min, max)(value);
+  return n === undefined ? undefined : Math.round(n);
+};
+const amount = number(0);
+const percent = number(0, 100);
+const boolean = (value) => (typeof value === 'boolean' ? value : undefined);
+const string = (value) => (typeof value === 'string' ? value : undefined);
+const oneOf = (values) => (value) => (values.includes(value) ? value : undefined);
+const OWNERS = ['self', 'spouse'];
+const WITHHOLDING_STATUSES = ['Single', 'MFJ', 'HOH'];
+
+// Readers for the fields of settings groups and list items
+const MATCH_TIER = { upTo: percent, rate: number(0, 4) };
+const VESTING = { type: oneOf(['immediate', 'cliff', 'graded']), years: count(1, 10) };
+const BENEFIT = {
+  type: oneOf(Object.keys(BENEFIT_TYPES)),
+  amount,
+  owner: oneOf(OWNERS),
+  label: string,
+  coverage: oneOf(['self', 'family']),
+  federal: boolean,
+  ca: boolean,
+  fica: boolean,
+  limit: amount,
+};
+const SUPPLEMENTAL = {
+  type: oneOf(Object.keys(SUPPLEMENTAL_TYPES)),
+  amount,
+  date: string,
+  owner: oneOf(OWNERS),
+  label: string,
+};
+const W4 = {
+  status: oneOf(WITHHOLDING_STATUSES),
+  multipleJobs: boolean,
+  dependentsCredit: amount,
+  otherIncome: amount,
+  deductions: amount,
+  extraWithholding: amount,
+};
+const DE4 = {
+  status: oneOf(WITHHOLDING_STATUSES),
+  allowances: count(),
+  additionalAllowances: count(),
+  extraWithholding: amount,
+};
+
+// The readable fields of `value`, or null if it is not an object or any of
+// the `required` fields is missing or unusable
+function pick(value, readers, required = []) {
+  if (kindOf(value) !== 'object') return null;
+  const picked = {};
+  for (const [key, read] of Object.entries(readers)) {
+    const field = value[key] === undefined ? undefined : read(value[key]);
+    if (field !== undefined) picked[key] = field;
+  }
+  return required.every((key) => key in picked) ? picked : null;
+}
+
+// List items that are not usable are dropped; the rest keep their usable fields
+const listOf = (readers, required) => (value) =>
+  Array.isArray(value) ? value.map((item) => pick(item, readers, required)).filter(Boolean) : [];
+
+// A plan is merged field by field over the default, so a plan saved before a
+// field was added picks up its default; match tiers are all usable or all replaced
+function normalizeEmployer(value, fallback) {
+  const plan = {
+    ...fallback,
+    ...pick(value, { matchTrueUp: boolean, nonElectivePercent: number(0, 25), yearsOfService: count() }),
+  };
+  const tiers = kindOf(value) === 'object' && Array.isArray(value.matchTiers) ? value.matchTiers : null;
+  const picked = tiers && tiers.map((tier) => pick(tier, MATCH_TIER, ['upTo', 'rate']));
+  if (picked && picked.every(Boolean)) plan.matchTiers = picked;
+  plan.vesting = { ...fallback.vesting, ...pick(value && value.vesting, VESTING) };
+  return plan;
+}
+
+// A reader for every field of DEFAULT_SCENARIO
+const FIELDS = {
+  taxYear: oneOf(SUPPORTED_TAX_YEARS),
+  status: oneOf(FILING_STATUSES.map((s) => s.value)),
+  salary: amount,
+  age: count(18, 100),
+  children: count(),
+  otherDependents: count(),
+  payFreq: oneOf(Object.keys(PAY_PERIODS)),
+  percent401k: percent,
+  rothPercent401k: percent,
+  afterTaxPercent: percent,
+  convertAfterTax: boolean,
+  retirementTaxRate: percent,
+  employer: normalizeEmployer,
+  raise: percent,
+  years: count(1, 50),
+  returnRate: percent,
+  discountRate: percent,
+  inflation: percent,
+  startingBalance: amount,
+  startingRothBalance: amount,
+  compounding: oneOf(['paycheck', 'monthly', 'annual']),
+  retirementYears: count(0, 60),
+  withdrawalMethod: oneOf(['percent', 'fixed']),
+  withdrawalAmount: amount,
+  withdrawalRate: percent,
+  retirementReturnRate: percent,
+  monteCarlo: boolean,
+  returnModel: oneOf(['normal', 'historical']),
+  volatility: percent,
+  simulationPaths: count(100, 20000),
+  targetBalance: amount,
+  leaveAfterYears: count(0, 50),
+  federalDeduct: amount,
+  caDeduct: amount,
+  limit401k: amount,
+  limit415c: amount,
+  twoEarner: boolean,
+  spouseSalary: amount,
+  spouseAge: count(18, 100),
+  spousePayFreq: oneOf(Object.keys(PAY_PERIODS)),
+  spousePercent401k: percent,
+  spouseRothPercent401k: percent,
+  spouseAfterTaxPercent: percent,
+  spouseEmployer: normalizeEmployer,
+  spouseLimit401k: amount,
+  spouseMultipleJobs: boolean,
+  benefits: listOf(BENEFIT, ['type', 'amount']),
+  supplemental: listOf(SUPPLEMENTAL, ['type', 'amount']),
+  supplementalGrowth: number(-100, 100),
+  w4: (value) => pick(value, W4) || {},
+  de4: (value) => pick(value, DE4) || {},
+};
+
+/**
+ * Fill in a partial scenario from the defaults.  Unknown keys are dropped;
+ * values of the wrong type, or outside a field's allowed choices (an
+ * unsupported tax year, an unknown filing status), fall back to the default,
+ * so a hand-edited or stale link cannot feed the engine a string where it
+ * expects a number, and numbers out of range are clamped into it.  Settings
+ * groups and list items are read field by field: unusable list items are
+ * dropped and unusable group fields left out.
+ */
+export function normalizeScenario(partial = {}) {
+  const scenario = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SCENARIO)) {
+    const value = partial[key];
+    const read = NULLABLE.has(key) && value === null ? null : FIELDS[key](value, fallback);
+    scenario[key] = read === undefined ? fallback : read;
+  }
+  return scenario;
+}
+
+// base64url so the result can sit in a URL hash unescaped
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+/**
+ * Encode a scenario as a URL-safe string.  Every field is written, along with
+ * the version, so changing a default later does not change what an existing
+ * link or saved scenario means.
+ */
+export function serializeScenario(scenario) {
+  return toBase64Url(JSON.stringify({ v: SCENARIO_VERSION, ...normalizeScenario(scenario) }));
+}
+
+/**
+ * Decode a string from serializeScenario.  Returns null if it is not a
+ * scenario or was written by a newer version of the planner.
+ */
+export function parseScenario(encoded) {
+  if (!encoded) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return null;
+  }
+  if (kindOf(data) !== 'object' || !Number.isInteger(data.v) || data.v < 1 || data.v > SCENARIO_VERSION) return null;
+  const { v, ...fields } = data;
+  return normalizeScenario(fields);
+}
+
+/**
+ * Read a scenario from a URL hash of the form `#s=<encoded>`.
+ */
+export function scenarioFromHash(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  return parseScenario(params.get('s'));
+}
+
+export function scenarioHash(scenario) {
+  return `#s=${serializeScenario(scenario)}`;
+}
+
+/**
+ * Map a scenario to the engine's inputs.  A spouse is only passed on a joint
+ * return with two earners; otherwise every benefit and bonus belongs to the
+ * first earner.  Null year-dependent fields are left out so the engine uses
+ * the year's figures.
+ */
+export function scenarioInputs(scenario) {
+  const s = normalizeScenario(scenario);
+  const hasSpouse = s.twoEarner && s.status === 'MFJ';
+  const ownedBy = (list, owner) => list.filter((item) => !hasSpouse || (item.owner || 'self') === owner);
+  const orDefault = (value) => (value === null ? undefined : value);
+  const plan = (employer) => ({
+    matchTiers: employer.matchTiers,
+    matchTrueUp: employer.matchTrueUp,
+    nonElectivePercent: employer.nonElectivePercent,
+    vesting: employer.vesting,
+    yearsOfService: employer.yearsOfService,
+  });
+  return {
+    taxYear: s.taxYear,
+    status: s.status,
+    salary: s.salary,
+    age: s.age,
+    payFreq: s.payFreq,
+    spouse: hasSpouse
+      ? {
+          salary: s.spouseSalary,
+          age: s.spouseAge,
+          payFreq: s.spousePayFreq,
+          percent401k: s.spousePercent401k,
+          rothPercent401k: s.spouseRothPercent401k,
+          afterTaxPercent: s.spouseAfterTaxPercent,
+          convertAfterTax: s.convertAfterTax,
+          ...plan(s.spouseEmployer),
+          limit401k: orDefault(s.spouseLimit401k),
+          limit415c: orDefault(s.limit415c),
+          benefits: ownedBy(s.benefits, 'spouse'),
+          supplemental: ownedBy(s.supplemental, 'spouse'),
+          w4: { multipleJobs: s.spouseMultipleJobs },
+        }
+      : undefined,
+    children: s.children,
+    otherDependents: s.otherDependents,
+    percent401k: s.percent401k,
+    rothPercent401k: s.rothPercent401k,
+    afterTaxPercent: s.afterTaxPercent,
+    convertAfterTax: s.convertAfterTax,
+    retirementTaxRate: s.retirementTaxRate,
+    ...plan(s.employer),
+    raise: s.raise,
+    years: s.years,
+    returnRate: s.returnRate,
+    discountRate: s.discountRate,
+    inflation: s.inflation,
+    startingBalance: s.startingBalance,
+    startingRothBalance: s.startingRothBalance,
+    compounding: s.compounding,
+    retirementYears: s.retirementYears,
+    withdrawalMethod: s.withdrawalMethod,
+    withdrawalAmount: s.withdrawalAmount,
+    withdrawalRate: s.withdrawalRate,
+    retirementReturnRate: s.retirementReturnRate,
+    federalDeduct: orDefault(s.federalDeduct),
+    caDeduct: orDefault(s.caDeduct),
+    limit401k: orDefault(s.limit401k),
+    limit415c: orDefault(s.limit415c),
+    benefits: ownedBy(s.benefits, 'self'),
+    supplemental: ownedBy(s.supplemental, 'self'),
+    supplementalGrowth: s.supplementalGrowth,
+    w4: s.w4,
+    de4: s.de4,
+  };
+}
+
+/**
+ * Headline numbers for comparing scenarios side by side.
+ */
+export function summarizeScenario(scenario) {
+  const inputs = scenarioInputs(scenario);
+  const year = computePaycheck(inputs);
+  const proj = projectYears(inputs);
+  return {
+    wages: year.wages,
+    takeHome: year.takeHome,
+    fedTax: year.fedTax,
+    caTax: year.caTax,
+    fica: year.fica + year.casdi,
+    employee401k: year.employee401k,
+    match: year.match,
+    balanceDue: compareWithholding(inputs).balanceDue,
+    futureValue: proj.futureValue,
+    afterTaxValue: proj.afterTaxValue,
+  };
+}
+
+export const CURRENT_SCENARIO_KEY = 'ca-paycheck-calculator:current';
+export const SAVED_SCENARIOS_KEY = 'ca-paycheck-calculator:scenarios';
+
+/**
+ * The scenario last edited in `storage`, or null if there is none.
+ */
+export function loadCurrentScenario(storage) {
+  return parseScenario(storage.getItem(CURRENT_SCENARIO_KEY));
+}
+
+export function saveCurrentScenario(storage, scenario) {
+  storage.setItem(CURRENT_SCENARIO_KEY, serializeScenario(scenario));
+}
+
+/**
+ * Named scenarios saved in `storage`, as `{ name: scenario }`.  Entries that
+ * no longer parse are skipped.
+ */
+export function loadSavedScenarios(storage) {
+  let saved;
+  try {
+    saved = JSON.parse(storage.getItem(SAVED_SCENARIOS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+  const scenarios = {};
+  for (const [name, encoded] of Object.entries(saved || {})) {
+    const scenario = typeof encoded === 'string' ? parseScenario(encoded) : null;
+    if (scenario) scenarios[name] = scenario;
+  }
+  return scenarios;
+}
+
+function writeSavedScenarios(storage, scenarios) {
+  const encoded = Object.fromEntries(Object.entries(scenarios).map(([n, s]) => [n, serializeScenario(s)]));
+  storage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(encoded));
+  return scenarios;
+}
+
+/**
+ * Save (or overwrite) a named scenario and return the updated collection.
+ */
+export function saveScenario(storage, name, scenario) {
+  return writeSavedScenarios(storage, { ...loadSavedScenarios(storage), [name]: normalizeScenario(scenario) });
+}
+
+export function deleteScenario(storage, name) {
+  const { [name]: removed, ...rest } = loadSavedScenarios(storage);
+  return writeSavedScenarios(storage, rest);
+}
@@ -0,0 +1,1448 @@
+/*
+ * Tax and 401(k) engine for the California paycheck planner.
+ *
+ * Everything in this module is pure: no DOM, no React, no globals.  The page
+ * (index.html) imports it as an ES module and the Node test suite imports it
+ * directly, so the numbers shown in the browser are the numbers under test.
+ *
+ * Brackets, deductions and limits come from the tax-year registry in
+ * tax-years.js; every calculator takes the year's rule set as its last
+ * argument and defaults to DEFAULT_TAX_YEAR.  FICA includes the additional
+ * Medicare tax above the threshold and CA SDI is a flat rate with no wage cap.
+ */
+
+import { DEFAULT_TAX_YEAR, getTaxYear, indexTaxYear, catchupForAge } from './tax-years.js';
+
+export {
+  TAX_YEARS,
+  DEFAULT_TAX_YEAR,
+  SUPPORTED_TAX_YEARS,
+  FILING_STATUSES,
+  getTaxYear,
+  indexTaxYear,
+  catchupForAge,
+} from './tax-years.js';
+
+/**
+ * Number of paychecks per year for each supported pay frequency.
+ */
+export const PAY_PERIODS = {
+  weekly: 52,
+  biweekly: 26,
+  semimonthly: 24,
+  monthly: 12,
+  yearly: 1,
+};
+
+/**
+ * Compute progressive tax given a taxable amount and a bracket table.
+ * Taxable income is taxed at each marginal rate up to the limit for
+ * that bracket.  If taxable <= 0 the tax is zero.
+ */
+export function progressiveTax(taxable, brackets) {
+  if (taxable <= 0) return 0;
+  let tax = 0;
+  let lower = 0;
+  for (const b of brackets) {
+    const upper = Math.min(taxable, b.upTo);
+    if (upper > lower) tax += (upper - lower) * b.rate;
+    if (taxable <= b.upTo) break;
+    lower = b.upTo;
+  }
+  return tax;
+}
+
+/**
+ * Where `taxable` income sits in a bracket table.  Each bracket comes back
+ * with its range (`from` to `upTo`), rate, the slice of income that falls in
+ * it and the tax on that slice.  The bracket holding the last dollar is
+ * `current`, and its `toNext` is the income left before the next rate
+ * (Infinity in the top bracket).
+ */
+export function bracketPosition(taxable, brackets) {
+  const income = Math.max(0, taxable);
+  let from = 0;
+  return brackets.map((b) => {
+    const slice = Math.max(0, Math.min(income, b.upTo) - from);
+    const current = income >= from && income < b.upTo;
+    const row = {
+      from,
+      upTo: b.upTo,
+      rate: b.rate,
+      income: slice,
+      tax: slice * b.rate,
+      current,
+      toNext: current ? b.upTo - income : null,
+    };
+    from = b.upTo;
+    return row;
+  });
+}
+
+/**
+ * Look up a filing-status keyed entry, failing loudly on an unknown status
+ * instead of quietly taxing it on some other schedule.
+ */
+function byStatus(table, status) {
+  if (!(status in table)) throw new RangeError(`Unknown filing status: ${status}`);
+  return table[status];
+}
+
+/**
+ * Federal tax calculation based on filing status and taxable income.
+ */
+export function calcFederalTax(taxable, status, rules = getTaxYear()) {
+  return progressiveTax(taxable, byStatus(rules.federal.brackets, status));
+}
+
+/**
+ * California tax calculation using progressive brackets by filing status.
+ */
+export function calcCATax(taxable, status, rules = getTaxYear()) {
+  return progressiveTax(taxable, byStatus(rules.ca.brackets, status));
+}
+
+/**
+ * Federal Child Tax Credit and Credit for Other Dependents.  The combined
+ * credit is reduced by $50 for every $1,000 (or fraction) of AGI over the
+ * filing-status threshold; the phase-out comes out of the other-dependent
+ * credit first.  The nonrefundable part is limited to the tax it offsets and
+ * any unused child credit may come back as the refundable Additional Child
+ * Tax Credit, capped per child and at 15% of earned income over $2,500.
+ */
+export function calcChildTaxCredits(
+  { agi, status, children = 0, otherDependents = 0, taxBeforeCredits, earnedIncome },
+  rules = getTaxYear(),
+) {
+  const ctc = rules.federal.childTaxCredit;
+  const childAmount = children * ctc.perChild;
+  const otherAmount = otherDependents * ctc.perOtherDependent;
+  const excess = Math.max(0, agi - byStatus(ctc.phaseOutStart, status));
+  const reduction = Math.ceil(excess / ctc.phaseOutStep) * ctc.reductionPerStep;
+  const allowed = Math.max(0, childAmount + otherAmount - reduction);
+  const allowedChild = Math.max(0, childAmount - Math.max(0, reduction - otherAmount));
+  const nonrefundable = Math.min(allowed, Math.max(0, taxBeforeCredits));
+  const childTaxCredit = Math.min(nonrefundable, allowedChild);
+  const otherDependentCredit = nonrefundable - childTaxCredit;
+  const additionalChildTaxCredit = Math.min(
+    allowedChild - childTaxCredit,
+    children * ctc.refundablePerChild,
+    Math.max(0, (earnedIncome - ctc.earnedIncomeFloor) * ctc.refundableRate),
+  );
+  return { childTaxCredit, otherDependentCredit, additionalChildTaxCredit };
+}
+
+/**
+ * California personal and dependent exemption credits.  Every credit is
+ * reduced by $6 for each $2,500 ($1,250 when filing separately), or fraction
+ * of it, by which federal AGI exceeds the phase-out threshold.
+ */
+export function calcCAExemptionCredits(agi, status, dependents = 0, rules = getTaxYear()) {
+  const ec = rules.ca.exemptionCredit;
+  const excess = Math.max(0, agi - byStatus(ec.phaseOutStart, status));
+  const reduction = Math.ceil(excess / byStatus(ec.phaseOutStep, status)) * ec.reductionPerStep;
+  const personal = byStatus(ec.personalCount, status) * Math.max(0, ec.personal - reduction);
+  const dependent = dependents * Math.max(0, ec.dependent - reduction);
+  return { personal, dependent };
+}
+
+/**
+ * California Mental Health Services Tax: a 1% surcharge on taxable income
+ * over $1 million, the same threshold for every filing status.
+ */
+export function calcMentalHealthTax(taxable, rules = getTaxYear()) {
+  const mhst = rules.ca.mentalHealthTax;
+  return Math.max(0, taxable - mhst.threshold) * mhst.rate;
+}
+
+// Social Security up to the wage base and base Medicare, both per worker
+function workerFica(wages, rules) {
+  return {
+    ss: Math.min(wages, rules.fica.ssWageBase) * rules.fica.ssRate,
+    medicare: wages * rules.fica.medicareRate,
+  };
+}
+
+// Additional Medicare, owed on a return's combined wages over the filing-status threshold
+function additionalMedicare(wages, status, rules) {
+  return Math.max(0, wages - byStatus(rules.fica.addlMedicareThreshold, status)) * rules.fica.addlMedicareRate;
+}
+
+/**
+ * Calculate Social Security and Medicare taxes based on gross income and filing status.
+ */
+export function calcFicaComponents(income, status, rules = getTaxYear()) {
+  const { ss, medicare } = workerFica(income, rules);
+  return { ss, medicare: medicare + additionalMedicare(income, status, rules) };
+}
+
+/**
+ * California SDI: simple percentage of wages, no cap.
+ */
+export function calcCASDI(income, rules = getTaxYear()) {
+  return income * rules.ca.sdiRate;
+}
+
+/**
+ * Clamp employee 401(k) contributions against the IRS limit (and optional catch‑up).
+ */
+export function clamp401k(empPct, salary, limit, catchup) {
+  const desired = empPct * salary;
+  const cap = limit + catchup;
+  return Math.min(Math.max(0, desired), cap);
+}
+
+/**
+ * Pre-tax benefit deduction types and their default tax treatment: whether
+ * each comes out before federal income tax, California income tax and payroll
+ * taxes (FICA and CA SDI).  Section 125 premiums, FSAs and commuter benefits
+ * are excluded from all three.  California does not recognize HSAs, so HSA
+ * payroll deductions skip federal tax and FICA but stay taxable for CA.
+ * `custom` is for anything else and is after-tax unless the item says so.
+ */
+export const BENEFIT_TYPES = {
+  section125: { label: 'Health/dental premiums (Section 125)', federal: true, ca: true, fica: true },
+  hsa: { label: 'HSA', federal: true, ca: false, fica: true },
+  healthFsa: { label: 'Health FSA', federal: true, ca: true, fica: true },
+  dependentCareFsa: { label: 'Dependent-care FSA', federal: true, ca: true, fica: true },
+  commuter: { label: 'Commuter (transit or parking)', federal: true, ca: true, fica: true },
+  custom: { label: 'Other deduction', federal: false, ca: false, fica: false },
+};
+
+// Annual cap for one benefit type; premiums and custom items have none
+function benefitLimit(type, coverage, status, age, rules) {
+  const limits = rules.benefits;
+  switch (type) {
+    case 'hsa':
+      return (coverage === 'family' ? limits.hsa.family : limits.hsa.self) + (age >= 55 ? limits.hsa.catchup55 : 0);
+    case 'healthFsa':
+      return limits.healthFsa;
+    case 'dependentCareFsa':
+      return byStatus(limits.dependentCareFsa, status);
+    case 'commuter':
+      return limits.commuterMonthly * 12;
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * Apply one worker's benefit deductions.  Each item is `{ type, amount }` with
+ * an annual dollar amount; `label`, `federal`, `ca`, `fica` and `limit`
+ * override the type's defaults and an HSA takes `coverage` ('self' or
+ * 'family').  Items of the same type share that type's annual limit and are
+ * capped in order.  The dependent-care FSA limit belongs to the household, so
+ * `used` carries what earlier earners on the return already claimed.
+ *
+ * Returns the capped `items` and the totals excluded from each tax base:
+ * `federal` (income tax and AGI), `ca` and `fica` (also CA SDI wages).
+ */
+export function calcBenefitDeductions(benefits = [], { status = 'Single', age, used = {} } = {}, rules = getTaxYear()) {
+  const claimed = {};
+  const householdUsed = { ...used };
+  const items = benefits.map((item) => {
+    const type = BENEFIT_TYPES[item.type] ? item.type : 'custom';
+    const defaults = BENEFIT_TYPES[type];
+    const limit = item.limit ?? benefitLimit(type, item.coverage, status, age, rules);
+    const shared = type === 'dependentCareFsa';
+    const prior = (claimed[type] || 0) + (shared ? householdUsed[type] || 0 : 0);
+    const requested = Math.max(0, item.amount || 0);
+    const amount = Math.min(requested, Math.max(0, limit - prior));
+    claimed[type] = (claimed[type] || 0) + amount;
+    if (shared) householdUsed[type] = (householdUsed[type] || 0) + amount;
+    return {
+      type,
+      label: item.label || defaults.label,
+      federal: item.federal ?? defaults.federal,
+      ca: item.ca ?? defaults.ca,
+      fica: item.fica ?? defaults.fica,
+      requested,
+      amount,
+      limit,
+    };
+  });
+  const excluded = (key) => items.reduce((sum, item) => sum + (item[key] ? item.amount : 0), 0);
+  return {
+    items,
+    total: items.reduce((sum, item) => sum + item.amount, 0),
+    federal: excluded('federal'),
+    ca: excluded('ca'),
+    fica: excluded('fica'),
+    used: householdUsed,
+  };
+}
+
+/**
+ * Kinds of supplemental wage events.  All are ordinary wages for income tax,
+ * FICA and SDI and differ only in how they are labeled.  401(k) deferrals and
+ * the match are figured on base salary, so none of them are deferred.
+ */
+export const SUPPLEMENTAL_TYPES = {
+  bonus: { label: 'Bonus' },
+  rsu: { label: 'RSU vest' },
+  nso: { label: 'Stock option exercise' },
+};
+
+// Day of the year (1-based) for a 'YYYY-MM-DD' date; undated events fall on the last day
+function dayOfYear(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(date || '');
+  if (!match) return 366;
+  const [year, month, day] = match.slice(1).map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+}
+
+/**
+ * Withholding on one worker's supplemental wage events.  Each event is
+ * `{ type, amount, date }` with `date` as 'YYYY-MM-DD'.  Events are taken in
+ * date order: federal tax is withheld at the flat supplemental rate, switching
+ * to the higher rate on supplemental wages past the $1 million threshold, and
+ * California at its flat rate.  Returns the dated `events` with what was
+ * withheld from each, plus the totals.
+ */
+export function calcSupplementalWithholding(events = [], rules = getTaxYear()) {
+  const fed = rules.federal.supplementalWithholding;
+  const caRate = rules.ca.supplementalWithholdingRate;
+  let paid = 0;
+  const dated = events
+    .map((event) => ({
+      type: SUPPLEMENTAL_TYPES[event.type] ? event.type : 'bonus',
+      label: event.label || (SUPPLEMENTAL_TYPES[event.type] || SUPPLEMENTAL_TYPES.bonus).label,
+      amount: Math.max(0, event.amount || 0),
+      date: event.date,
+      day: dayOfYear(event.date),
+    }))
+    .sort((a, b) => a.day - b.day)
+    .map((event) => {
+      const atHighRate = Math.max(0, paid + event.amount - Math.max(paid, fed.highThreshold));
+      paid += event.amount;
+      return {
+        ...event,
+        fedWithheld: (event.amount - atHighRate) * fed.rate + atHighRate * fed.highRate,
+        caWithheld: event.amount * caRate,
+      };
+    });
+  const total = (key) => dated.reduce((sum, event) => sum + event[key], 0);
+  return { events: dated, wages: paid, fedWithheld: total('fedWithheld'), caWithheld: total('caWithheld') };
+}
+
+// Form W-4 and DE 4 list three statuses; married filing separately withholds as Single
+const WITHHOLDING_STATUS = { Single: 'Single', MFS: 'Single', MFJ: 'MFJ', HOH: 'HOH' };
+
+/**
+ * Federal income tax withheld from one paycheck under the IRS Pub. 15-T
+ * percentage method for a 2020 or later Form W-4 (Worksheet 1A).  `wages` is
+ * the paycheck's federally taxable wages (after pretax 401(k) and benefits)
+ * and `periods` the paychecks per year.  The W-4 fields are `status` ('Single'
+ * for single or married filing separately, 'MFJ' or 'HOH'), `multipleJobs`
+ * (the Step 2 checkbox), `dependentsCredit` (Step 3, annual dollars),
+ * `otherIncome` and `deductions` (Steps 4(a) and 4(b), annual) and
+ * `extraWithholding` (Step 4(c), per paycheck).
+ *
+ * The withholding tables are the year's brackets offset by the standard
+ * deduction they build in, less the Step 2 allowance; with the Step 2 box
+ * checked the brackets and standard deduction are halved instead.
+ */
+export function calcFederalWithholding(wages, periods, w4 = {}, rules = getTaxYear()) {
+  const {
+    status = 'Single',
+    multipleJobs = false,
+    dependentsCredit = 0,
+    otherIncome = 0,
+    deductions = 0,
+    extraWithholding = 0,
+  } = w4;
+  const table = rules.federal.withholding;
+  const wStatus = WITHHOLDING_STATUS[status] || 'Single';
+  const brackets = byStatus(rules.federal.brackets, wStatus);
+  const standard = byStatus(table.standardDeduction, wStatus);
+  const allowance = multipleJobs ? 0 : byStatus(table.allowance, wStatus);
+  // Adjusted annual wage amount
+  const annualWages = Math.max(0, wages * periods + otherIncome - deductions - allowance);
+  const tentative = multipleJobs
+    ? progressiveTax(2 * annualWages - standard, brackets) / 2
+    : progressiveTax(annualWages - (standard - allowance), brackets);
+  const perPeriod = Math.max(0, tentative / periods - dependentsCredit / periods);
+  return perPeriod + Math.max(0, extraWithholding);
+}
+
+/**
+ * California income tax withheld from one paycheck under EDD Method B (exact
+ * calculation) for a DE 4.  `wages` is the paycheck's CA taxable wages.  The
+ * DE 4 fields are `status` ('Single' for single or married with two or more
+ * incomes, 'MFJ' for married with one income, or 'HOH'), `allowances`
+ * (regular withholding allowances, worth one personal exemption credit each),
+ * `additionalAllowances` (for estimated deductions) and `extraWithholding`
+ * per paycheck.  Married workers with fewer than two allowances get the single
+ * standard deduction and low income exemption.  Wages at or under the low
+ * income exemption have nothing withheld.
+ */
+export function calcCAWithholding(wages, periods, de4 = {}, rules = getTaxYear()) {
+  const { status = 'Single', allowances = 0, additionalAllowances = 0, extraWithholding = 0 } = de4;
+  const table = rules.ca.withholding;
+  const wStatus = WITHHOLDING_STATUS[status] || 'Single';
+  const single = wStatus === 'MFJ' && allowances < 2 ? 'Single' : wStatus;
+  const annualWages = wages * periods;
+  if (annualWages <= byStatus(table.lowIncomeExemption, single)) return Math.max(0, extraWithholding);
+  const taxable = Math.max(
+    0,
+    annualWages - additionalAllowances * table.allowanceDeduction - byStatus(rules.ca.standardDeduction, single),
+  );
+  const tax = calcCATax(taxable, wStatus, rules) + calcMentalHealthTax(taxable, rules);
+  const annual = Math.max(0, tax - allowances * rules.ca.exemptionCredit.personal);
+  return annual / periods + Math.max(0, extraWithholding);
+}
+
+/**
+ * Employer match on `deferral` dollars out of `salary`.  Tiers work like tax
+ * brackets: each `{ upTo, rate }` matches `rate` dollars per dollar deferred
+ * between the previous tier's `upTo` and its own, as percents of salary.  So
+ * "100% of the first 3% plus 50% of the next 2%" is
+ * `[{ upTo: 3, rate: 1 }, { upTo: 5, rate: 0.5 }]`.
+ */
+export function calcEmployerMatch(deferral, salary, tiers = []) {
+  let match = 0;
+  let floor = 0;
+  for (const { upTo, rate } of tiers) {
+    const ceiling = (upTo / 100) * salary;
+    match += Math.max(0, Math.min(deferral, ceiling) - floor) * rate;
+    floor = Math.max(floor, ceiling);
+  }
+  return match;
+}
+
+// A plan's match tiers; a single matchRate/matchCap is a one-tier formula
+function matchTiersOf({ matchTiers, matchRate = 0, matchCap = 0 }) {
+  return matchTiers || [{ upTo: matchCap, rate: matchRate }];
+}
+
+/**
+ * Percent of employer contributions vested after `yearsOfService` completed
+ * years.  `vesting.type` is 'immediate' (the default), 'cliff' (nothing until
+ * `years`, then everything) or 'graded' (an equal share each year until fully
+ * vested after `years`).
+ */
+export function vestedPercent(vesting, yearsOfService) {
+  const { type = 'immediate', years = 0 } = vesting || {};
+  const completed = Math.max(0, Math.floor(yearsOfService));
+  if (type === 'cliff') return completed >= years ? 100 : 0;
+  if (type === 'graded') return years <= 0 ? 100 : Math.min(100, (completed / years) * 100);
+  return 100;
+}
+
+/**
+ * Split one worker's 401(k) contributions into pretax, Roth and after-tax
+ * dollars.  Pretax and Roth deferrals share the 402(g) limit (plus any
+ * catch-up) and are scaled back together when it binds; the employer match is
+ * earned on both.  After-tax contributions only get whatever room the 415(c)
+ * limit leaves after deferrals (catch-up excluded), the match and any
+ * non-elective employer contribution (`nonElectivePercent` of salary, paid
+ * whether or not the worker defers).
+ *
+ * The match follows `matchTiers` (see calcEmployerMatch), or the single tier
+ * `matchRate` up to `matchCap`.  It is figured on each paycheck's deferral,
+ * so a worker who reaches the limit early in the year (at `payFreq`) misses
+ * the match on the remaining paychecks unless the plan makes an annual
+ * true-up (`matchTrueUp`, the default), which pays the match on the year's
+ * total deferrals.  `matchForgone` is the match missed that way.
+ *
+ * The catch-up allowance comes from `age` unless `catchup401k` is given.  When
+ * `priorYearWages` exceed the year's Roth catch-up threshold, any catch-up
+ * dollars that would have been pretax are made Roth instead.
+ */
+export function split401k(earner, rules = getTaxYear()) {
+  const {
+    salary = 0,
+    percent401k = 0,
+    rothPercent401k = 0,
+    afterTaxPercent = 0,
+    payFreq,
+    matchTrueUp = true,
+    nonElectivePercent = 0,
+    limit401k = rules.retirement.limit401k,
+    limit415c = rules.retirement.limit415c,
+    age,
+    catchup401k = catchupForAge(age, rules),
+    priorYearWages = salary,
+  } = earner;
+  const pretaxPct = Math.max(0, percent401k) / 100;
+  const rothPct = Math.max(0, rothPercent401k) / 100;
+  const electivePct = pretaxPct + rothPct;
+  // Clamp elective deferrals (pretax + Roth) to the shared annual limit
+  const elective = clamp401k(electivePct, salary, limit401k, catchup401k);
+  const catchupUsed = Math.max(0, elective - limit401k);
+  const threshold = rules.retirement.rothCatchupWageThreshold;
+  const rothCatchupRequired = catchupUsed > 0 && threshold != null && priorYearWages > threshold;
+  let pretax = electivePct > 0 ? (elective * pretaxPct) / electivePct : 0;
+  if (rothCatchupRequired) pretax = Math.min(pretax, elective - catchupUsed);
+  const roth = elective - pretax;
+  const tiers = matchTiersOf(earner);
+  const fullMatch = calcEmployerMatch(elective, salary, tiers);
+  let match = fullMatch;
+  if (!matchTrueUp && elective < electivePct * salary) {
+    // Deferrals stop partway through the year, and so does the match
+    const n = PAY_PERIODS[payFreq] || PAY_PERIODS.weekly;
+    let remaining = elective;
+    match = 0;
+    for (let p = 0; p < n && remaining > 0; p++) {
+      const deferral = Math.min((electivePct * salary) / n, remaining);
+      remaining -= deferral;
+      match += calcEmployerMatch(deferral, salary / n, tiers);
+    }
+  }
+  const nonElective = (Math.max(0, nonElectivePercent) / 100) * salary;
+  const room415c = Math.max(0, limit415c - (elective - catchupUsed) - match - nonElective);
+  const afterTax = Math.min(Math.max(0, (afterTaxPercent / 100) * salary), room415c);
+  return {
+    pretax,
+    roth,
+    afterTax,
+    match,
+    matchForgone: fullMatch - match,
+    nonElective,
+    catchupUsed,
+    rothCatchupRequired,
+  };
+}
+
+/**
+ * Payroll items that belong to one worker rather than to the tax return:
+ * their own 401(k) contributions (against their own limits) and employer
+ * match, benefit deductions, supplemental wage withholding, Social Security up
+ * to their own wage base, base Medicare and CA SDI.  `wages` is salary plus
+ * any `supplemental` events.  `employee401k` is everything the worker
+ * contributes; only `pretax401k` lowers taxable income.  Benefits excluded
+ * from payroll taxes come off `ficaWages`, which SS, Medicare and SDI are
+ * computed on.  `status` and `benefitsUsed` feed the household dependent-care
+ * FSA limit.
+ */
+export function computeEarner(earner, rules = getTaxYear()) {
+  const { salary = 0, payFreq, age, convertAfterTax = false, status, benefits, benefitsUsed, supplemental } = earner;
+  const { pretax, roth, afterTax, match, matchForgone, nonElective, catchupUsed, rothCatchupRequired } = split401k(
+    earner,
+    rules,
+  );
+  const deductions = calcBenefitDeductions(benefits, { status, age, used: benefitsUsed }, rules);
+  const extra = calcSupplementalWithholding(supplemental, rules);
+  const wages = salary + extra.wages;
+  const ficaWages = Math.max(0, wages - deductions.fica);
+  const { ss, medicare } = workerFica(ficaWages, rules);
+  const casdi = calcCASDI(ficaWages, rules);
+  return {
+    salary,
+    supplementalWages: extra.wages,
+    wages,
+    payFreq,
+    age,
+    pretax401k: pretax,
+    roth401k: roth,
+    afterTax401k: afterTax,
+    // After-tax dollars converted to Roth in the plan (the "mega-backdoor")
+    convertedAfterTax: convertAfterTax ? afterTax : 0,
+    employee401k: pretax + roth + afterTax,
+    catchup401k: catchupUsed,
+    rothCatchupRequired,
+    match,
+    matchForgone,
+    nonElective,
+    benefits: deductions.items,
+    benefitsUsed: deductions.used,
+    benefitsTotal: deductions.total,
+    benefitsFederal: deductions.federal,
+    benefitsCA: deductions.ca,
+    supplemental: extra.events,
+    supplementalFedWithheld: extra.fedWithheld,
+    supplementalCaWithheld: extra.caWithheld,
+    ficaWages,
+    ss,
+    medicare,
+    casdi,
+  };
+}
+
+/**
+ * Compute one year of pay: 401(k) deferral, employer match, each tax and the
+ * resulting take‑home.  Percentages are whole numbers (6 means 6%) to match
+ * the form inputs; matchRate is dollars of match per dollar contributed.
+ * Deductions and the 401(k) limit default to the tax year's figures; a
+ * `rules` object, if given, is used in place of the `taxYear` lookup.
+ *
+ * Each earner may also set `rothPercent401k`, `afterTaxPercent` and
+ * `convertAfterTax`; see split401k for how the limits are shared.  A
+ * `benefits` list of pre-tax deductions (see calcBenefitDeductions) lowers
+ * whichever of federal taxable income, CA taxable income and payroll-tax
+ * wages each item is excluded from, and comes out of take-home in full.
+ *
+ * `supplemental` events (bonuses, RSU vests, option exercises; see
+ * calcSupplementalWithholding) are taxed as wages.  Because they are withheld
+ * at flat rates, `balanceDue` estimates what is left to pay at filing: the tax
+ * they add over a salary-only return (`supplementalTax`), less what was
+ * withheld from them.  It assumes withholding on salary matches the
+ * salary-only liability.
+ *
+ * For married couples filing jointly a `spouse` object with the same per-earner
+ * fields (salary, payFreq and the 401(k) settings) adds a second earner.
+ * Payroll items are computed per earner, income tax on the combined return,
+ * and each earner's share of income tax and Additional Medicare is allocated
+ * in proportion to their wages so `earners` can show their own take‑home.
+ */
+export function computePaycheck(inputs) {
+  const {
+    status = 'Single',
+    spouse,
+    taxYear = DEFAULT_TAX_YEAR,
+    rules = getTaxYear(taxYear),
+    federalDeduct = byStatus(rules.federal.standardDeduction, status),
+    caDeduct = byStatus(rules.ca.standardDeduction, status),
+    children = 0,
+    otherDependents = 0,
+  } = inputs;
+  const people = status === 'MFJ' && spouse ? [inputs, spouse] : [inputs];
+  // Earners are computed in order so the second sees the household's dependent-care FSA usage
+  let benefitsUsed = {};
+  const payroll = people.map((person) => {
+    const earner = computeEarner({ ...person, status, benefitsUsed }, rules);
+    benefitsUsed = earner.benefitsUsed;
+    return earner;
+  });
+  const sum = (key) => payroll.reduce((total, e) => total + e[key], 0);
+  const income = sum('wages');
+  const pretax401k = sum('pretax401k');
+  const employee401k = sum('employee401k');
+  const match = sum('match');
+  const nonElective = sum('nonElective');
+  const benefitsTotal = sum('benefitsTotal');
+  const benefitsFederal = sum('benefitsFederal');
+  const benefitsCA = sum('benefitsCA');
+  // Compute taxable income after standard deduction, pretax 401(k) deferrals and pre-tax benefits
+  const taxableFed = Math.max(0, income - federalDeduct - pretax401k - benefitsFederal);
+  const taxableCA = Math.max(0, income - caDeduct - pretax401k - benefitsCA);
+  // Federal tax: brackets, then the Child Tax Credit family of credits
+  const agi = Math.max(0, income - pretax401k - benefitsFederal);
+  const fedTaxBeforeCredits = calcFederalTax(taxableFed, status, rules);
+  const fedCredits = calcChildTaxCredits(
+    { agi, status, children, otherDependents, taxBeforeCredits: fedTaxBeforeCredits, earnedIncome: agi },
+    rules,
+  );
+  const fedTax =
+    fedTaxBeforeCredits -
+    fedCredits.childTaxCredit -
+    fedCredits.otherDependentCredit -
+    fedCredits.additionalChildTaxCredit;
+  // California tax: brackets less nonrefundable exemption credits, plus the MHST surcharge
+  const caTaxBeforeCredits = calcCATax(taxableCA, status, rules);
+  const exemptions = calcCAExemptionCredits(agi, status, children + otherDependents, rules);
+  const personalCredit = Math.min(exemptions.personal, caTaxBeforeCredits);
+  const caCredits = {
+    personal: personalCredit,
+    dependent: Math.min(exemptions.dependent, caTaxBeforeCredits - personalCredit),
+  };
+  const mentalHealthTax = calcMentalHealthTax(taxableCA, rules);
+  const caTax = caTaxBeforeCredits - caCredits.personal - caCredits.dependent + mentalHealthTax;
+  // Additional Medicare is owed on the household's combined wages over the filing-status threshold
+  const ficaWages = sum('ficaWages');
+  const addlMedicare = additionalMedicare(ficaWages, status, rules);
+  const ss = sum('ss');
+  const medicare = sum('medicare') + addlMedicare;
+  const fica = ss + medicare;
+  // California SDI is a separate deduction
+  const casdi = sum('casdi');
+  // Take‑home pay after all deductions, benefits and every employee 401(k) dollar
+  const takeHome = income - fedTax - fica - caTax - casdi - employee401k - benefitsTotal;
+
+  // Tax on salary alone, to isolate what the supplemental wages add
+  const supplementalWages = sum('supplementalWages');
+  const regular =
+    supplementalWages > 0
+      ? computePaycheck({
+          ...inputs,
+          supplemental: [],
+          spouse: spouse && { ...spouse, supplemental: [] },
+        })
+      : null;
+  const supplementalTax = { federal: regular ? fedTax - regular.fedTax : 0, ca: regular ? caTax - regular.caTax : 0 };
+  const supplementalWithheld = { federal: sum('supplementalFedWithheld'), ca: sum('supplementalCaWithheld') };
+  const balanceDue = {
+    federal: supplementalTax.federal - supplementalWithheld.federal,
+    ca: supplementalTax.ca - supplementalWithheld.ca,
+  };
+  balanceDue.total = balanceDue.federal + balanceDue.ca;
+
+  const share = (amount, total, n) => (total > 0 ? amount / total : 1 / n);
+  const earners = payroll.map((e) => {
+    const taxShare = share(e.wages - e.pretax401k - e.benefitsFederal, agi, payroll.length);
+    const wageShare = share(e.ficaWages, ficaWages, payroll.length);
+    const earnerMedicare = e.medicare + addlMedicare * wageShare;
+    const earnerFedTax = fedTax * taxShare;
+    const earnerCaTax = caTax * taxShare;
+    const earnerTakeHome =
+      e.wages - e.employee401k - e.benefitsTotal - e.ss - earnerMedicare - e.casdi - earnerFedTax - earnerCaTax;
+    const periods = PAY_PERIODS[e.payFreq];
+    return {
+      ...e,
+      medicare: earnerMedicare,
+      fica: e.ss + earnerMedicare,
+      fedTax: earnerFedTax,
+      caTax: earnerCaTax,
+      takeHome: earnerTakeHome,
+      periodTakeHome: periods ? earnerTakeHome / periods : undefined,
+    };
+  });
+
+  return {
+    salary: sum('salary'),
+    supplementalWages,
+    wages: income,
+    pretax401k,
+    roth401k: sum('roth401k'),
+    afterTax401k: sum('afterTax401k'),
+    convertedAfterTax: sum('convertedAfterTax'),
+    catchup401k: sum('catchup401k'),
+    rothCatchupRequired: payroll.some((e) => e.rothCatchupRequired),
+    employee401k,
+    match,
+    matchForgone: sum('matchForgone'),
+    nonElective,
+    benefits: payroll.flatMap((e) => e.benefits),
+    benefitsTotal,
+    benefitsFederal,
+    benefitsCA,
+    ficaWages,
+    agi,
+    taxableFed,
+    taxableCA,
+    fedTaxBeforeCredits,
+    fedCredits,
+    fedTax,
+    caTaxBeforeCredits,
+    caCredits,
+    mentalHealthTax,
+    caTax,
+    ss,
+    medicare,
+    fica,
+    casdi,
+    supplementalTax,
+    supplementalWithheld,
+    balanceDue,
+    takeHome,
+    earners,
+  };
+}
+
+// Dollars of extra salary a marginal rate is measured over
+const MARGINAL_STEP = 100;
+
+/**
+ * Marginal rates on the next `step` dollars of the first earner's salary, as
+ * fractions: federal and CA income tax, FICA (including Additional Medicare),
+ * SDI and their sum as `combined`.  401(k) deferrals and benefits are held at
+ * their current dollar amounts, so the extra pay is fully exposed.  A finite
+ * step rather than a derivative lets credit phase-outs, which move in
+ * increments, show up in the rate.  `base` is computePaycheck(inputs), if the
+ * caller already has it.
+ */
+export function calcMarginalRates(inputs, step = MARGINAL_STEP, base = computePaycheck(inputs)) {
+  const { salary = 0, percent401k = 0, rothPercent401k = 0, afterTaxPercent = 0 } = inputs;
+  const scale = salary / (salary + step);
+  const next = computePaycheck({
+    ...inputs,
+    salary: salary + step,
+    percent401k: percent401k * scale,
+    rothPercent401k: rothPercent401k * scale,
+    afterTaxPercent: afterTaxPercent * scale,
+  });
+  const rate = (key) => (next[key] - base[key]) / step;
+  const rates = { federal: rate('fedTax'), ca: rate('caTax'), fica: rate('fica'), casdi: rate('casdi') };
+  return { ...rates, combined: rates.federal + rates.ca + rates.fica + rates.casdi };
+}
+
+/**
+ * Marginal and effective rates for federal tax, CA tax, FICA and SDI, and
+ * their combined total, as fractions.  Effective rates are each tax over
+ * total wages; marginal rates come from calcMarginalRates, so unlike the
+ * bracket rate they include credit phase-outs and the CA mental health
+ * surcharge.  `brackets` places the household's federal and CA taxable
+ * income in the filing status's bracket tables (see bracketPosition).  Pass
+ * computePaycheck(inputs) as `year` to reuse it.
+ */
+export function calcTaxRates(inputs, year = computePaycheck(inputs)) {
+  const { status = 'Single', taxYear = DEFAULT_TAX_YEAR, rules = getTaxYear(taxYear) } = inputs;
+  const share = (amount) => (year.wages > 0 ? amount / year.wages : 0);
+  const effective = {
+    federal: share(year.fedTax),
+    ca: share(year.caTax),
+    fica: share(year.fica),
+    casdi: share(year.casdi),
+  };
+  effective.combined = effective.federal + effective.ca + effective.fica + effective.casdi;
+  return {
+    marginal: calcMarginalRates(inputs, MARGINAL_STEP, year),
+    effective,
+    brackets: {
+      federal: bracketPosition(year.taxableFed, byStatus(rules.federal.brackets, status)),
+      ca: bracketPosition(year.taxableCA, byStatus(rules.ca.brackets, status)),
+    },
+  };
+}
+
+/**
+ * Take-home pay and marginal rates (see calcMarginalRates) at `points + 1`
+ * evenly spaced salaries from zero to `max` for the first earner, everything
+ * else held as given.  Contribution rates stay percents of salary, so the
+ * 401(k) deferral grows along the sweep until it reaches the limit.
+ */
+export function sweepSalary(inputs, max, points = 100) {
+  return Array.from({ length: points + 1 }, (_, i) => {
+    const at = { ...inputs, salary: (max * i) / points };
+    const year = computePaycheck(at);
+    return { salary: at.salary, takeHome: year.takeHome, ...calcMarginalRates(at, MARGINAL_STEP, year) };
+  });
+}
+
+// W-4 and DE 4 as a worker would fill them in from the household's return
+function defaultWithholdingForms(inputs, index, twoEarners, rules) {
+  const { status = 'Single', children = 0, otherDependents = 0 } = inputs;
+  const ctc = rules.federal.childTaxCredit;
+  const primary = index === 0;
+  const personal = twoEarners ? 1 : byStatus(rules.ca.exemptionCredit.personalCount, status);
+  return {
+    w4: {
+      status: WITHHOLDING_STATUS[status],
+      multipleJobs: twoEarners,
+      dependentsCredit: primary ? children * ctc.perChild + otherDependents * ctc.perOtherDependent : 0,
+      otherIncome: 0,
+      deductions: 0,
+      extraWithholding: 0,
+    },
+    de4: {
+      status: twoEarners ? 'Single' : WITHHOLDING_STATUS[status],
+      allowances: personal + (primary ? children + otherDependents : 0),
+      additionalAllowances: 0,
+      extraWithholding: 0,
+    },
+  };
+}
+
+/**
+ * Paycheck-by-paycheck schedule for each earner over one year at their own
+ * pay frequency.  Unlike the annual figures it shows when things change
+ * mid-year: Social Security stops once wages pass the SS wage base,
+ * Additional Medicare withholding starts once wages pass the $200,000
+ * withholding threshold (regardless of filing status), and 401(k) deferrals
+ * stop once the limit is reached.  The employer match is figured per paycheck
+ * on that paycheck's deferral, so front-loading forfeits match for the rest of
+ * the year unless the plan trues it up (paid with the last paycheck);
+ * `lostMatch` is the match forfeited without a true-up.  Non-elective
+ * employer contributions are spread evenly.  Federal and CA income tax are
+ * what the employer withholds from each paycheck's taxable wages under the
+ * earner's `w4` and `de4` (see calcFederalWithholding and calcCAWithholding),
+ * so they rise once 401(k) deferrals stop.  Supplemental wage events are paid with the paycheck
+ * their date falls in and withheld at the flat supplemental rates.
+ *
+ * Without a `w4` or `de4` the forms are filled in from the return: the filing
+ * status, the dependent credits in Step 3, and one DE 4 allowance per
+ * personal and dependent exemption.  With a working spouse each spouse checks
+ * W-4 Step 2(c) and files a DE 4 as married with two incomes and one
+ * allowance, and dependents are claimed on the first earner's forms.
+ *
+ * Returns one schedule per earner with the `periods`, their `totals`, the
+ * `w4` and `de4` used, the first paycheck (1-based, or null) for each event,
+ * the over- or under-withheld Medicare to settle on the return, and
+ * `evenPercent`, the elective rate that would reach the limit on the last
+ * paycheck instead.
+ */
+export function computePaySchedule(inputs) {
+  const { status = 'Single', spouse, taxYear = DEFAULT_TAX_YEAR, rules = getTaxYear(taxYear) } = inputs;
+  const annual = computePaycheck(inputs);
+  const people = status === 'MFJ' && spouse ? [inputs, spouse] : [inputs];
+  const fica = rules.fica;
+  return annual.earners.map((e, index) => {
+    const person = people[index];
+    const forms = defaultWithholdingForms(inputs, index, people.length > 1, rules);
+    const w4 = { ...forms.w4, ...person.w4 };
+    const de4 = { ...forms.de4, ...person.de4 };
+    const n = PAY_PERIODS[e.payFreq] || PAY_PERIODS.weekly;
+    const limit = person.limit401k ?? rules.retirement.limit401k;
+    const electiveCap = limit + (person.catchup401k ?? catchupForAge(e.age, rules));
+    const pretaxPct = Math.max(0, person.percent401k || 0) / 100;
+    const rothPct = Math.max(0, person.rothPercent401k || 0) / 100;
+    const electivePct = pretaxPct + rothPct;
+    const tiers = matchTiersOf(person);
+    const nonElective = e.nonElective / n;
+    const salary = e.salary / n;
+    const benefits = e.benefitsTotal / n;
+    const regularFicaWages = (e.ficaWages - e.supplementalWages) / n;
+    const benefitsFederal = e.benefitsFederal / n;
+    const benefitsCA = e.benefitsCA / n;
+    const daysInYear = dayOfYear(`${rules.year}-12-31`);
+    const periodOf = (event) =>
+      Math.min(n, Math.max(1, Math.ceil((Math.min(event.day, daysInYear) / daysInYear) * n)));
+    const cum = { wages: 0, elective: 0, pretax: 0, afterTax: 0, match: 0 };
+    const periods = [];
+    for (let p = 1; p <= n; p++) {
+      const paid = e.supplemental.filter((event) => periodOf(event) === p);
+      const supplemental = paid.reduce((sum, event) => sum + event.amount, 0);
+      const gross = salary + supplemental;
+      const ficaWages = regularFicaWages + supplemental;
+      const wanted = electivePct * salary;
+      const elective = Math.min(wanted, Math.max(0, electiveCap - cum.elective));
+      let pretax = electivePct > 0 ? (elective * pretaxPct) / electivePct : 0;
+      // Catch-up dollars past the regular limit must be Roth for high earners
+      if (e.rothCatchupRequired) pretax = Math.min(pretax, Math.max(0, limit - cum.pretax));
+      const roth = elective - pretax;
+      const afterTax = Math.min(
+        Math.max(0, (person.afterTaxPercent || 0) / 100) * salary,
+        Math.max(0, e.afterTax401k - cum.afterTax),
+      );
+      let match = calcEmployerMatch(elective, salary, tiers);
+      // Any annual true-up arrives with the last paycheck
+      if (p === n && e.match - cum.match - match > 0.005) match = e.match - cum.match;
+      const fedTax =
+        calcFederalWithholding(salary - pretax - benefitsFederal, n, w4, rules) +
+        paid.reduce((sum, event) => sum + event.fedWithheld, 0);
+      const caTax =
+        calcCAWithholding(salary - pretax - benefitsCA, n, de4, rules) +
+        paid.reduce((sum, event) => sum + event.caWithheld, 0);
+      const ss = Math.min(ficaWages, Math.max(0, fica.ssWageBase - cum.wages)) * fica.ssRate;
+      const overThreshold = (wages) => Math.max(0, wages - fica.addlMedicareWithholdingThreshold);
+      const addlMedicare = (overThreshold(cum.wages + ficaWages) - overThreshold(cum.wages)) * fica.addlMedicareRate;
+      const medicare = ficaWages * fica.medicareRate + addlMedicare;
+      const casdi = calcCASDI(ficaWages, rules);
+      cum.wages += ficaWages;
+      cum.elective += elective;
+      cum.pretax += pretax;
+      cum.afterTax += afterTax;
+      cum.match += match;
+      periods.push({
+        period: p,
+        salary,
+        supplemental,
+        gross,
+        pretax401k: pretax,
+        roth401k: roth,
+        afterTax401k: afterTax,
+        benefits,
+        fedTax,
+        caTax,
+        ss,
+        medicare,
+        addlMedicare,
+        casdi,
+        match,
+        nonElective,
+        net: gross - pretax - roth - afterTax - benefits - fedTax - caTax - ss - medicare - casdi,
+        maxedOut: elective < wanted,
+      });
+    }
+    const total = (key) => periods.reduce((sum, row) => sum + row[key], 0);
+    const totalKeys = ['salary', 'supplemental', 'gross', 'pretax401k', 'roth401k', 'afterTax401k', 'benefits'];
+    totalKeys.push('fedTax', 'caTax', 'ss', 'medicare', 'casdi', 'match', 'nonElective', 'net');
+    const totals = Object.fromEntries(totalKeys.map((key) => [key, total(key)]));
+    const first = (test) => periods.find(test)?.period ?? null;
+    const maxOutPeriod = first((row) => row.maxedOut);
+    return {
+      payFreq: e.payFreq,
+      w4,
+      de4,
+      periods,
+      totals,
+      ssCutoffPeriod: first((row) => row.ss < (regularFicaWages + row.supplemental) * fica.ssRate - 0.005),
+      addlMedicarePeriod: first((row) => row.addlMedicare > 0),
+      maxOutPeriod,
+      // Positive when withholding fell short of the Additional Medicare owed on the return
+      medicareDue: e.medicare - totals.medicare,
+      annualMatch: e.match,
+      lostMatch: e.matchForgone,
+      evenPercent: e.salary > 0 ? (electiveCap / e.salary) * 100 : 0,
+    };
+  });
+}
+
+// Balances within this many dollars of zero need no form changes
+const WITHHOLDING_TOLERANCE = 100;
+
+function marginalRate(taxable, brackets) {
+  return (brackets.find((b) => taxable < b.upTo) || brackets[brackets.length - 1]).rate;
+}
+
+// Move a W-4 toward zero balance: under-withholding first gives back Step 3
+// credits, then adds Step 4(c) extra; over-withholding does the reverse.
+function adjustW4(w4, due, periods) {
+  if (Math.abs(due) < WITHHOLDING_TOLERANCE) return w4;
+  if (due > 0) {
+    const fromCredit = Math.min(w4.dependentsCredit, due);
+    const extra = Math.ceil((due - fromCredit) / periods);
+    return { ...w4, dependentsCredit: w4.dependentsCredit - fromCredit, extraWithholding: w4.extraWithholding + extra };
+  }
+  const over = -due;
+  const lessExtra = Math.min(w4.extraWithholding, Math.floor(over / periods));
+  const credit = Math.floor(over - lessExtra * periods);
+  return { ...w4, extraWithholding: w4.extraWithholding - lessExtra, dependentsCredit: w4.dependentsCredit + credit };
+}
+
+// The DE 4 equivalent, trading additional allowances (each worth $1,000 of
+// deductions at the marginal rate) against extra withholding.
+function adjustDE4(de4, due, periods, rate, rules) {
+  if (Math.abs(due) < WITHHOLDING_TOLERANCE) return de4;
+  const perAllowance = rules.ca.withholding.allowanceDeduction * rate;
+  if (due > 0) {
+    const fewer = perAllowance > 0 ? Math.min(de4.additionalAllowances, Math.floor(due / perAllowance)) : 0;
+    const extra = Math.ceil((due - fewer * perAllowance) / periods);
+    return {
+      ...de4,
+      additionalAllowances: de4.additionalAllowances - fewer,
+      extraWithholding: de4.extraWithholding + extra,
+    };
+  }
+  const over = -due;
+  const lessExtra = Math.min(de4.extraWithholding, Math.floor(over / periods));
+  const more = perAllowance > 0 ? Math.floor((over - lessExtra * periods) / perAllowance) : 0;
+  return {
+    ...de4,
+    extraWithholding: de4.extraWithholding - lessExtra,
+    additionalAllowances: de4.additionalAllowances + more,
+  };
+}
+
+/**
+ * Compare a year of paycheck withholding (see computePaySchedule) with the
+ * tax owed on the return.  The federal balance includes any Additional
+ * Medicare over- or under-withheld.  A positive `balanceDue` is owed at
+ * filing, a negative one refunded.
+ *
+ * Each side also carries a `recommended` W-4 or DE 4 for the first earner
+ * that brings the household to within $100 of zero, and `balanceDueAfter`
+ * with those forms.  Owing first gives back W-4 Step 3 credits or DE 4
+ * additional allowances and then adds extra withholding per paycheck; a
+ * refund removes extra withholding first and then adds credits or
+ * allowances.
+ */
+export function compareWithholding(inputs) {
+  const { status = 'Single', taxYear = DEFAULT_TAX_YEAR, rules = getTaxYear(taxYear) } = inputs;
+  const annual = computePaycheck(inputs);
+  const sum = (schedules, key) => schedules.reduce((total, s) => total + s.totals[key], 0);
+  const balances = (schedules) => ({
+    federal:
+      annual.fedTax - sum(schedules, 'fedTax') + schedules.reduce((total, s) => total + s.medicareDue, 0),
+    ca: annual.caTax - sum(schedules, 'caTax'),
+  });
+  const schedules = computePaySchedule(inputs);
+  const due = balances(schedules);
+  const [first] = schedules;
+  const periods = first.periods.length;
+  const caRate = marginalRate(annual.taxableCA, byStatus(rules.ca.brackets, status));
+  // Form changes can cross a withholding bracket, so refine a few times
+  let { w4, de4 } = first;
+  let after = due;
+  const settled = (b) => Math.abs(b.federal) < WITHHOLDING_TOLERANCE && Math.abs(b.ca) < WITHHOLDING_TOLERANCE;
+  for (let pass = 0; pass < 3 && !settled(after); pass++) {
+    w4 = adjustW4(w4, after.federal, periods);
+    de4 = adjustDE4(de4, after.ca, periods, caRate, rules);
+    after = balances(computePaySchedule({ ...inputs, w4, de4 }));
+  }
+  return {
+    federal: {
+      liability: annual.fedTax,
+      withheld: sum(schedules, 'fedTax'),
+      balanceDue: due.federal,
+      recommended: w4,
+      balanceDueAfter: after.federal,
+    },
+    ca: {
+      liability: annual.caTax,
+      withheld: sum(schedules, 'caTax'),
+      balanceDue: due.ca,
+      recommended: de4,
+      balanceDueAfter: after.ca,
+    },
+    balanceDue: due.federal + due.ca,
+    schedules,
+  };
+}
+
+/**
+ * How many compounding steps a year has: one for 'annual', twelve for
+ * 'monthly' and one per paycheck for 'paycheck'.
+ */
+export function compoundingSteps(compounding, payFreq) {
+  if (compounding === 'monthly') return 12;
+  if (compounding === 'paycheck') return PAY_PERIODS[payFreq] || 52;
+  return 1;
+}
+
+/**
+ * Year-end value of one dollar a year paid in equal installments at the end
+ * of each of `steps` periods, compounding at an effective `rate` a year.
+ * One step is a single year-end deposit and is worth exactly one dollar.
+ */
+export function depositGrowth(steps, rate) {
+  const perStep = Math.pow(1 + rate, 1 / steps) - 1;
+  return perStep === 0 ? 1 : rate / (steps * perStep);
+}
+
+/**
+ * Tax on retirement withdrawals, which are ordinary income with no payroll
+ * tax: federal and CA brackets after the standard deduction, less the CA
+ * personal exemption credit, plus the Mental Health Services Tax.
+ */
+function retirementIncomeTax(ordinary, status, rules) {
+  const fedTax = calcFederalTax(Math.max(0, ordinary - byStatus(rules.federal.standardDeduction, status)), status, rules);
+  const caTaxable = Math.max(0, ordinary - byStatus(rules.ca.standardDeduction, status));
+  const { personal } = calcCAExemptionCredits(ordinary, status, 0, rules);
+  const caTax =
+    Math.max(0, calcCATax(caTaxable, status, rules) - personal) + calcMentalHealthTax(caTaxable, rules);
+  return { fedTax, caTax };
+}
+
+/**
+ * Draw a retirement balance down year by year.  `balances` holds the pretax,
+ * Roth and after-tax buckets (and the after-tax basis) at retirement.
+ *
+ * With `method` 'fixed' the first withdrawal is `amount` in today's dollars;
+ * with 'percent' it is `rate` percent of the balance at retirement (the 4%
+ * rule).  Either way later withdrawals rise with `inflation`, as do the tax
+ * tables, indexed from `rules` by `yearsFromNow` plus the years retired.
+ * Withdrawals come from each bucket in proportion to its balance, monthly
+ * unless `compounding` is 'annual', while the rest keeps growing at
+ * `returnRate`.  Pretax money and after-tax earnings are taxed with the same
+ * bracket calculators as wages; Roth money and after-tax basis are not.
+ *
+ * Stops after `years` or when the money runs out; `lastsYears` counts a
+ * final partial withdrawal as a fraction of a year.
+ */
+export function projectDrawdown(
+  balances,
+  {
+    status = 'Single',
+    method = 'percent',
+    amount = 0,
+    rate = 4,
+    years = 30,
+    returnRate = 0,
+    inflation = 0,
+    compounding = 'monthly',
+    yearsFromNow = 0,
+    startAge,
+  } = {},
+  rules = getTaxYear(),
+) {
+  const buckets = { pretax: 0, roth: 0, afterTax: 0, afterTaxBasis: 0, ...balances };
+  const startingBalance = buckets.pretax + buckets.roth + buckets.afterTax;
+  const inflRate = inflation / 100;
+  const expReturn = returnRate / 100;
+  const firstWithdrawal =
+    method === 'fixed' ? amount * Math.pow(1 + inflRate, yearsFromNow) : (startingBalance * rate) / 100;
+  const spread = depositGrowth(compounding === 'annual' ? 1 : 12, expReturn);
+  const data = [];
+  let lastsYears = 0;
+  let depleted = false;
+  let totalWithdrawn = 0;
+  let totalTax = 0;
+  for (let j = 0; j < (parseInt(years, 10) || 0); j++) {
+    const total = buckets.pretax + buckets.roth + buckets.afterTax;
+    const target = firstWithdrawal * Math.pow(1 + inflRate, j);
+    // Withdrawing this much over the year leaves exactly nothing
+    const available = (total * (1 + expReturn)) / spread;
+    const withdrawal = Math.min(target, available);
+    const share = (bucket) => (total > 0 ? buckets[bucket] / total : 0);
+    const fromPretax = withdrawal * share('pretax');
+    const fromAfterTax = withdrawal * share('afterTax');
+    const basisShare = buckets.afterTax > 0 ? buckets.afterTaxBasis / buckets.afterTax : 0;
+    const taxableEarnings = fromAfterTax * (1 - basisShare);
+    buckets.afterTaxBasis -= fromAfterTax * basisShare;
+    for (const bucket of ['pretax', 'roth', 'afterTax']) {
+      buckets[bucket] = Math.max(0, buckets[bucket] * (1 + expReturn) - withdrawal * share(bucket) * spread);
+    }
+    const yearRules = indexTaxYear(rules, Math.pow(1 + inflRate, yearsFromNow + j), rules.year + yearsFromNow + j);
+    const { fedTax, caTax } = retirementIncomeTax(fromPretax + taxableEarnings, status, yearRules);
+    const tax = fedTax + caTax;
+    totalWithdrawn += withdrawal;
+    totalTax += tax;
+    data.push({
+      year: yearsFromNow + j + 1,
+      calendarYear: yearRules.year,
+      age: startAge === undefined ? undefined : startAge + j,
+      startBalance: total,
+      withdrawal,
+      taxable: fromPretax + taxableEarnings,
+      fedTax,
+      caTax,
+      tax,
+      net: withdrawal - tax,
+      balance: buckets.pretax + buckets.roth + buckets.afterTax,
+    });
+    if (withdrawal < target) {
+      lastsYears += withdrawal / target;
+      depleted = true;
+      break;
+    }
+    lastsYears += 1;
+    // Spent down exactly, give or take rounding
+    if (withdrawal > 0 && buckets.pretax + buckets.roth + buckets.afterTax < 0.005) {
+      depleted = true;
+      break;
+    }
+  }
+  return { data, startingBalance, firstWithdrawal, lastsYears, depleted, totalWithdrawn, totalTax };
+}
+
+/**
+ * Project contributions, take‑home and the value of the 401(k) over a number
+ * of years.  Salary (and a spouse's, if any) grows by `raise` percent each
+ * year.  The balance starts from `startingBalance` (pretax) and
+ * `startingRothBalance` and grows at `returnRate`; each year's contributions
+ * go in at the end of the year, or spread over it with `compounding` set to
+ * 'monthly' or 'paycheck'.  `futureValue` is the balance when contributions
+ * stop; `presentValue` discounts the contributions back to today at
+ * `discountRate`.
+ *
+ * Balances are also tracked by tax treatment: pretax deferrals and the match
+ * are taxed on withdrawal, Roth deferrals and converted after-tax dollars are
+ * not, and unconverted after-tax money owes tax only on its earnings.
+ * `afterTaxValue` applies `retirementTaxRate` (a percent) accordingly.
+ *
+ * Employer money (the match and any non-elective contribution, with its
+ * growth) vests on each earner's `vesting` schedule (see vestedPercent),
+ * counting `yearsOfService` already completed.  Each row shows the employer
+ * balance per earner and the `unvested` amount leaving at the end of that
+ * year would forfeit.  Anything still unvested when contributions stop is
+ * left out of `afterTaxValue` and the retirement drawdown.  A starting
+ * balance is treated as fully vested.
+ *
+ * With `retirementYears`, the balance is then drawn down by projectDrawdown
+ * using `withdrawalMethod` ('fixed' with `withdrawalAmount` in today's
+ * dollars, or 'percent' with `withdrawalRate`) and `retirementReturnRate`
+ * (`returnRate` unless given); the result is `retirement`.
+ *
+ * Supplemental wage events (bonuses, RSU vests) repeat each year on the same
+ * dates, growing by `supplementalGrowth` percent a year (the salary `raise`
+ * unless given).
+ *
+ * Given an `age` (at the end of the first year), each year's catch-up is
+ * looked up for that year's age, so the projection picks up the 50+ and
+ * 60–63 allowances as they arrive.
+ *
+ * With a non-zero `inflation` percent, each later year's brackets, deductions
+ * and limits (including any overrides passed in) are indexed forward from the
+ * starting tax year, so a raise that only keeps pace with inflation does not
+ * push income into higher brackets.  Benefit deduction amounts grow with
+ * inflation too, still capped by that year's indexed limits.
+ */
+export function projectYears(inputs) {
+  const {
+    salary = 0,
+    raise = 0,
+    years = 0,
+    returnRate = 0,
+    discountRate = 0,
+    inflation = 0,
+    taxYear = DEFAULT_TAX_YEAR,
+    rules: baseRules = getTaxYear(taxYear),
+    federalDeduct,
+    caDeduct,
+    limit401k,
+    limit415c,
+    retirementTaxRate = 0,
+    age,
+    priorYearWages = salary,
+    supplementalGrowth = raise,
+    spouse,
+    status = 'Single',
+    payFreq = 'weekly',
+    startingBalance = 0,
+    startingRothBalance = 0,
+    compounding = 'annual',
+    retirementYears = 0,
+    withdrawalMethod = 'percent',
+    withdrawalAmount = 0,
+    withdrawalRate = 4,
+    retirementReturnRate = returnRate,
+  } = inputs;
+  const yrs = parseInt(years, 10) || 0;
+  const raiseRate = raise / 100;
+  const supplementalRate = supplementalGrowth / 100;
+  const inflRate = inflation / 100;
+  const expReturn = returnRate / 100;
+  const disc = discountRate / 100;
+  let currSalary = salary;
+  let spouseSalary = spouse ? spouse.salary || 0 : 0;
+  // Roth catch-up status looks at the previous year's wages, supplemental pay included
+  let prevWages = priorYearWages;
+  let prevSpouseWages = spouse ? (spouse.priorYearWages ?? spouseSalary) : 0;
+  const data = [];
+  let totalEmployee = 0;
+  let totalMatch = 0;
+  let totalNonElective = 0;
+  // Employer money per earner, which vests on that earner's schedule
+  const employerBalances = [];
+  let unvested = 0;
+  let presentValue = 0;
+  const buckets = { pretax: startingBalance, roth: startingRothBalance, afterTax: 0, afterTaxBasis: 0 };
+  const balanceOf = () => buckets.pretax + buckets.roth + buckets.afterTax;
+  const spread = depositGrowth(compoundingSteps(compounding, payFreq), expReturn);
+  for (let i = 0; i < yrs; i++) {
+    const factor = Math.pow(1 + inflRate, i);
+    const yearRules = indexTaxYear(baseRules, factor, baseRules.year + i);
+    // Overrides are indexed like the defaults they replace; undefined keeps the default
+    const indexed = (value, round) => (value === undefined || factor === 1 ? value : round(value * factor));
+    const indexLimit = (n) => Math.floor(n / 500) * 500;
+    const index415c = (n) => Math.floor(n / 1000) * 1000;
+    const plusYears = (a) => (a === undefined ? undefined : a + i);
+    const supplementalFactor = Math.pow(1 + supplementalRate, i);
+    const growSupplemental = (events) =>
+      events && events.map((event) => ({ ...event, amount: event.amount * supplementalFactor }));
+    const indexBenefits = (list) =>
+      list &&
+      list.map((b) => ({ ...b, amount: indexed(b.amount, Math.round), limit: indexed(b.limit, Math.round) }));
+    const year = computePaycheck({
+      ...inputs,
+      salary: currSalary,
+      age: plusYears(age),
+      priorYearWages: prevWages,
+      rules: yearRules,
+      federalDeduct: indexed(federalDeduct, Math.round),
+      caDeduct: indexed(caDeduct, Math.round),
+      limit401k: indexed(limit401k, indexLimit),
+      limit415c: indexed(limit415c, index415c),
+      benefits: indexBenefits(inputs.benefits),
+      supplemental: growSupplemental(inputs.supplemental),
+      spouse: spouse && {
+        ...spouse,
+        salary: spouseSalary,
+        age: plusYears(spouse.age),
+        priorYearWages: prevSpouseWages,
+        limit401k: indexed(spouse.limit401k, indexLimit),
+        limit415c: indexed(spouse.limit415c, index415c),
+        benefits: indexBenefits(spouse.benefits),
+        supplemental: growSupplemental(spouse.supplemental),
+      },
+    });
+    const employee = year.employee401k;
+    const match = year.match;
+    const nonElective = year.nonElective;
+    const contributions = employee + match + nonElective;
+    totalEmployee += employee;
+    totalMatch += match;
+    totalNonElective += nonElective;
+    // The balance grows for the year and takes in the year's contributions
+    const startBalance = balanceOf();
+    const unconverted = year.afterTax401k - year.convertedAfterTax;
+    buckets.pretax = buckets.pretax * (1 + expReturn) + (year.pretax401k + match + nonElective) * spread;
+    buckets.roth = buckets.roth * (1 + expReturn) + (year.roth401k + year.convertedAfterTax) * spread;
+    buckets.afterTax = buckets.afterTax * (1 + expReturn) + unconverted * spread;
+    buckets.afterTaxBasis += unconverted;
+    const vesting = year.earners.map((e, k) => {
+      const person = k === 0 ? inputs : spouse;
+      const balance = (employerBalances[k] || 0) * (1 + expReturn) + (e.match + e.nonElective) * spread;
+      employerBalances[k] = balance;
+      const percent = vestedPercent(person.vesting, (person.yearsOfService || 0) + i + 1);
+      return { percent, balance, vested: (balance * percent) / 100, unvested: balance * (1 - percent / 100) };
+    });
+    unvested = vesting.reduce((sum, v) => sum + v.unvested, 0);
+    // Present value: discount contributions back to today (i+1 years from now)
+    presentValue += contributions / Math.pow(1 + disc, i + 1);
+    data.push({
+      year: i + 1,
+      calendarYear: yearRules.year,
+      age: plusYears(age),
+      spouseAge: spouse ? plusYears(spouse.age) : undefined,
+      salary: year.salary,
+      supplemental: year.supplementalWages,
+      balanceDue: year.balanceDue.total,
+      employee,
+      pretax: year.pretax401k,
+      roth: year.roth401k,
+      afterTax: year.afterTax401k,
+      catchup: year.catchup401k,
+      rothCatchupRequired: year.rothCatchupRequired,
+      match,
+      nonElective,
+      benefits: year.benefitsTotal,
+      total: contributions,
+      cumulative: totalEmployee + totalMatch + totalNonElective,
+      balance: balanceOf(),
+      growth: balanceOf() - startBalance - contributions,
+      // Employer money and what leaving at the end of this year would forfeit
+      vestedPercent: vesting[0].percent,
+      vesting,
+      employerBalance: vesting.reduce((sum, v) => sum + v.balance, 0),
+      unvested,
+      takeHome: year.takeHome,
+    });
+    // Apply raise to salary for next year
+    prevWages = year.earners[0].wages;
+    prevSpouseWages = spouse ? year.earners[1].wages : 0;
+    currSalary = currSalary * (1 + raiseRate);
+    spouseSalary = spouseSalary * (1 + raiseRate);
+  }
+  const futureValue = balanceOf();
+  // Employer money still unvested when contributions stop is forfeited on leaving
+  const kept = { ...buckets, pretax: buckets.pretax - unvested };
+  const retRate = retirementTaxRate / 100;
+  const afterTaxValue =
+    kept.pretax * (1 - retRate) + kept.roth + kept.afterTax - (kept.afterTax - kept.afterTaxBasis) * retRate;
+  return {
+    data,
+    totalEmployee,
+    totalMatch,
+    totalNonElective,
+    futureValue,
+    unvestedValue: unvested,
+    presentValue,
+    futureValueByType: { pretax: buckets.pretax, roth: buckets.roth, afterTax: buckets.afterTax },
+    afterTaxValue,
+    retirement:
+      retirementYears > 0
+        ? projectDrawdown(
+            kept,
+            {
+              status,
+              method: withdrawalMethod,
+              amount: withdrawalAmount,
+              rate: withdrawalRate,
+              years: retirementYears,
+              returnRate: retirementReturnRate,
+              inflation,
+              compounding,
+              yearsFromNow: yrs,
+              startAge: age === undefined ? undefined : age + yrs,
+            },
+            baseRules,
+          )
+        : undefined,
+  };
+}
+
+/**
+ * Compare putting every elective deferral in Traditional (pretax) versus Roth
+ * at the same contribution rates.  Traditional takes home more each year; that
+ * tax saving is assumed invested at the same return (ignoring its own tax
+ * drag) so both sides are compared on equal out-of-pocket cost.  Traditional
+ * comes out ahead when `retirementTaxRate` is below today's marginal rate.
+ */
+export function compareTraditionalRoth(inputs) {
+  const allTo = (type) => (earner) => {
+    if (!earner) return earner;
+    const elective = (earner.percent401k || 0) + (earner.rothPercent401k || 0);
+    return {
+      ...earner,
+      percent401k: type === 'traditional' ? elective : 0,
+      rothPercent401k: type === 'roth' ? elective : 0,
+    };
+  };
+  const run = (type) => projectYears({ ...allTo(type)(inputs), spouse: allTo(type)(inputs.spouse) });
+  const traditional = run('traditional');
+  const roth = run('roth');
+  const yrs = traditional.data.length;
+  const expReturn = (inputs.returnRate || 0) / 100;
+  let taxSavingsInvested = 0;
+  traditional.data.forEach((row, i) => {
+    taxSavingsInvested += (row.takeHome - roth.data[i].takeHome) * Math.pow(1 + expReturn, yrs - i - 1);
+  });
+  const traditionalValue = traditional.afterTaxValue + taxSavingsInvested;
+  return {
+    traditional: { afterTaxValue: traditionalValue, futureValue: traditional.futureValue, taxSavingsInvested },
+    roth: { afterTaxValue: roth.afterTaxValue, futureValue: roth.futureValue },
+    better: traditionalValue >= roth.afterTaxValue ? 'traditional' : 'roth',
+  };
+}
@@ -0,0 +1,604 @@
+/*
+ * Tax-year rule sets.
+ *
+ * Each entry bundles everything the engine needs for one calendar year:
+ * federal and California bracket tables, standard deductions and Additional
+ * Medicare thresholds (all keyed by filing status), the remaining FICA
+ * constants, the CA SDI rate, and the 401(k) limits.  Federal and California
+ * figures always come from the same year.  Credit parameters (CA exemption
+ * credits, the Mental Health Services Tax, the federal Child Tax Credit) live
+ * alongside the brackets they offset.  `retirement.limit401k` is the 402(g)
+ * elective deferral limit shared by pretax and Roth contributions, and
+ * `retirement.limit415c` the cap on all annual additions (employee, employer
+ * and after-tax, excluding catch-up).  `catchup60to63` is the SECURE 2.0
+ * enhanced catch-up for ages 60 through 63 (equal to the standard amount
+ * before 2025), and `rothCatchupWageThreshold` the prior-year FICA wages above
+ * which catch-ups must be Roth (null before the rule took effect in 2026).
+ * `benefits` holds the annual caps on pre-tax benefit deductions: HSA
+ * (self-only or family coverage, plus the age 55 catch-up), health FSA, the
+ * household dependent-care FSA and the monthly commuter (transit or parking)
+ * exclusion.
+ *
+ * A few figures only matter for withholding.  Employers withhold Additional
+ * Medicare on each worker's wages over `addlMedicareWithholdingThreshold`
+ * whatever their filing status; the difference from the status threshold
+ * settles on the return.  Supplemental wages (bonuses, RSU vests, option
+ * exercises) are withheld at flat rates: federally 22%, or 37% on a worker's
+ * supplemental wages past $1 million for the year, and in California 10.23%
+ * for bonuses and stock compensation.  `federal.withholding` holds the Pub.
+ * 15-T percentage method figures for the 2020+ Form W-4: the standard
+ * deduction built into the tables (keyed by W-4 status, where married filing
+ * separately uses Single) and the allowance subtracted when the Step 2 box is
+ * not checked.  `ca.withholding` holds the EDD Method B low income exemption
+ * (Single also covers married with fewer than two allowances) and the
+ * deduction per DE 4 additional allowance.
+ *
+ * Sources: IRS Rev. Procs. 2023-34, 2024-40 and 2025-32 (2025 standard
+ * deduction as amended in July 2025), SSA wage base announcements, IRS 401(k)
+ * and HSA limit notices, IRS Pubs. 15 and 15-T, FTB indexed tax rate schedules,
+ * EDD Pub. DE 44 and EDD SDI rate notices.
+ */
+
+/**
+ * Rule sets by tax year.  `estimated` lists any figures that had not been
+ * published when the table was written and were projected instead.
+ */
+export const TAX_YEARS = {
+  2024: {
+    year: 2024,
+    estimated: [],
+    federal: {
+      brackets: {
+        Single: [
+          { upTo: 11600, rate: 0.10 },
+          { upTo: 47150, rate: 0.12 },
+          { upTo: 100525, rate: 0.22 },
+          { upTo: 191950, rate: 0.24 },
+          { upTo: 243725, rate: 0.32 },
+          { upTo: 609350, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        MFJ: [
+          { upTo: 23200, rate: 0.10 },
+          { upTo: 94300, rate: 0.12 },
+          { upTo: 201050, rate: 0.22 },
+          { upTo: 383900, rate: 0.24 },
+          { upTo: 487450, rate: 0.32 },
+          { upTo: 731200, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        HOH: [
+          { upTo: 16550, rate: 0.10 },
+          { upTo: 63100, rate: 0.12 },
+          { upTo: 100500, rate: 0.22 },
+          { upTo: 191950, rate: 0.24 },
+          { upTo: 243700, rate: 0.32 },
+          { upTo: 609350, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        MFS: [
+          { upTo: 11600, rate: 0.10 },
+          { upTo: 47150, rate: 0.12 },
+          { upTo: 100525, rate: 0.22 },
+          { upTo: 191950, rate: 0.24 },
+          { upTo: 243725, rate: 0.32 },
+          { upTo: 365600, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+      },
+      standardDeduction: { Single: 14600, MFJ: 29200, HOH: 21900, MFS: 14600 },
+      childTaxCredit: {
+        perChild: 2000,
+        refundablePerChild: 1700,
+        perOtherDependent: 500,
+        phaseOutStart: { Single: 200000, MFJ: 400000, HOH: 200000, MFS: 200000 },
+        phaseOutStep: 1000,
+        reductionPerStep: 50,
+        earnedIncomeFloor: 2500,
+        refundableRate: 0.15,
+      },
+      supplementalWithholding: { rate: 0.22, highRate: 0.37, highThreshold: 1000000 },
+      withholding: {
+        standardDeduction: { Single: 14600, MFJ: 29200, HOH: 21900 },
+        allowance: { Single: 8600, MFJ: 12900, HOH: 8600 },
+      },
+    },
+    ca: {
+      brackets: {
+        Single: [
+          { upTo: 10756, rate: 0.01 },
+          { upTo: 25499, rate: 0.02 },
+          { upTo: 40245, rate: 0.04 },
+          { upTo: 55866, rate: 0.06 },
+          { upTo: 70606, rate: 0.08 },
+          { upTo: 360659, rate: 0.093 },
+          { upTo: 432787, rate: 0.103 },
+          { upTo: 721314, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        MFJ: [
+          { upTo: 21512, rate: 0.01 },
+          { upTo: 50998, rate: 0.02 },
+          { upTo: 80490, rate: 0.04 },
+          { upTo: 111732, rate: 0.06 },
+          { upTo: 141212, rate: 0.08 },
+          { upTo: 721318, rate: 0.093 },
+          { upTo: 865574, rate: 0.103 },
+          { upTo: 1442628, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        HOH: [
+          { upTo: 21527, rate: 0.01 },
+          { upTo: 51000, rate: 0.02 },
+          { upTo: 65744, rate: 0.04 },
+          { upTo: 81364, rate: 0.06 },
+          { upTo: 96107, rate: 0.08 },
+          { upTo: 490493, rate: 0.093 },
+          { upTo: 588593, rate: 0.103 },
+          { upTo: 980987, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        // California taxes separate filers on the single schedule
+        MFS: [
+          { upTo: 10756, rate: 0.01 },
+          { upTo: 25499, rate: 0.02 },
+          { upTo: 40245, rate: 0.04 },
+          { upTo: 55866, rate: 0.06 },
+          { upTo: 70606, rate: 0.08 },
+          { upTo: 360659, rate: 0.093 },
+          { upTo: 432787, rate: 0.103 },
+          { upTo: 721314, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+      },
+      standardDeduction: { Single: 5540, MFJ: 11080, HOH: 11080, MFS: 5540 },
+      exemptionCredit: {
+        personal: 149,
+        dependent: 461,
+        personalCount: { Single: 1, MFJ: 2, HOH: 1, MFS: 1 },
+        phaseOutStart: { Single: 244857, MFJ: 489719, HOH: 367291, MFS: 244857 },
+        phaseOutStep: { Single: 2500, MFJ: 2500, HOH: 2500, MFS: 1250 },
+        reductionPerStep: 6,
+      },
+      mentalHealthTax: { threshold: 1000000, rate: 0.01 },
+      supplementalWithholdingRate: 0.1023,
+      withholding: { lowIncomeExemption: { Single: 17818, MFJ: 35636, HOH: 35636 }, allowanceDeduction: 1000 },
+      sdiRate: 0.011,
+    },
+    fica: {
+      ssRate: 0.062,
+      ssWageBase: 168600,
+      medicareRate: 0.0145,
+      addlMedicareRate: 0.009,
+      addlMedicareThreshold: { Single: 200000, MFJ: 250000, HOH: 200000, MFS: 125000 },
+      addlMedicareWithholdingThreshold: 200000,
+    },
+    retirement: {
+      limit401k: 23000,
+      limit415c: 69000,
+      catchup50: 7500,
+      catchup60to63: 7500,
+      rothCatchupWageThreshold: null,
+    },
+    benefits: {
+      hsa: { self: 4150, family: 8300, catchup55: 1000 },
+      healthFsa: 3200,
+      dependentCareFsa: { Single: 5000, MFJ: 5000, HOH: 5000, MFS: 2500 },
+      commuterMonthly: 315,
+    },
+  },
+
+  2025: {
+    year: 2025,
+    estimated: ['ca.withholding.lowIncomeExemption'],
+    federal: {
+      brackets: {
+        Single: [
+          { upTo: 11925, rate: 0.10 },
+          { upTo: 48475, rate: 0.12 },
+          { upTo: 103350, rate: 0.22 },
+          { upTo: 197300, rate: 0.24 },
+          { upTo: 250525, rate: 0.32 },
+          { upTo: 626350, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        MFJ: [
+          { upTo: 23850, rate: 0.10 },
+          { upTo: 96950, rate: 0.12 },
+          { upTo: 206700, rate: 0.22 },
+          { upTo: 394600, rate: 0.24 },
+          { upTo: 501050, rate: 0.32 },
+          { upTo: 751600, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        HOH: [
+          { upTo: 17000, rate: 0.10 },
+          { upTo: 64850, rate: 0.12 },
+          { upTo: 103350, rate: 0.22 },
+          { upTo: 197300, rate: 0.24 },
+          { upTo: 250500, rate: 0.32 },
+          { upTo: 626350, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        MFS: [
+          { upTo: 11925, rate: 0.10 },
+          { upTo: 48475, rate: 0.12 },
+          { upTo: 103350, rate: 0.22 },
+          { upTo: 197300, rate: 0.24 },
+          { upTo: 250525, rate: 0.32 },
+          { upTo: 375800, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+      },
+      standardDeduction: { Single: 15750, MFJ: 31500, HOH: 23625, MFS: 15750 },
+      childTaxCredit: {
+        perChild: 2200,
+        refundablePerChild: 1700,
+        perOtherDependent: 500,
+        phaseOutStart: { Single: 200000, MFJ: 400000, HOH: 200000, MFS: 200000 },
+        phaseOutStep: 1000,
+        reductionPerStep: 50,
+        earnedIncomeFloor: 2500,
+        refundableRate: 0.15,
+      },
+      supplementalWithholding: { rate: 0.22, highRate: 0.37, highThreshold: 1000000 },
+      withholding: {
+        // Pub. 15-T kept the pre-July 2025 standard deductions for the rest of 2025
+        standardDeduction: { Single: 15000, MFJ: 30000, HOH: 22500 },
+        allowance: { Single: 8600, MFJ: 12900, HOH: 8600 },
+      },
+    },
+    ca: {
+      brackets: {
+        Single: [
+          { upTo: 11079, rate: 0.01 },
+          { upTo: 26264, rate: 0.02 },
+          { upTo: 41452, rate: 0.04 },
+          { upTo: 57542, rate: 0.06 },
+          { upTo: 72724, rate: 0.08 },
+          { upTo: 371479, rate: 0.093 },
+          { upTo: 445771, rate: 0.103 },
+          { upTo: 742953, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        MFJ: [
+          { upTo: 22158, rate: 0.01 },
+          { upTo: 52528, rate: 0.02 },
+          { upTo: 82904, rate: 0.04 },
+          { upTo: 115084, rate: 0.06 },
+          { upTo: 145448, rate: 0.08 },
+          { upTo: 742958, rate: 0.093 },
+          { upTo: 891542, rate: 0.103 },
+          { upTo: 1485906, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        HOH: [
+          { upTo: 22173, rate: 0.01 },
+          { upTo: 52530, rate: 0.02 },
+          { upTo: 67716, rate: 0.04 },
+          { upTo: 83805, rate: 0.06 },
+          { upTo: 98990, rate: 0.08 },
+          { upTo: 505208, rate: 0.093 },
+          { upTo: 606251, rate: 0.103 },
+          { upTo: 1010417, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        // California taxes separate filers on the single schedule
+        MFS: [
+          { upTo: 11079, rate: 0.01 },
+          { upTo: 26264, rate: 0.02 },
+          { upTo: 41452, rate: 0.04 },
+          { upTo: 57542, rate: 0.06 },
+          { upTo: 72724, rate: 0.08 },
+          { upTo: 371479, rate: 0.093 },
+          { upTo: 445771, rate: 0.103 },
+          { upTo: 742953, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+      },
+      standardDeduction: { Single: 5706, MFJ: 11412, HOH: 11412, MFS: 5706 },
+      exemptionCredit: {
+        personal: 153,
+        dependent: 475,
+        personalCount: { Single: 1, MFJ: 2, HOH: 1, MFS: 1 },
+        phaseOutStart: { Single: 252203, MFJ: 504411, HOH: 378310, MFS: 252203 },
+        phaseOutStep: { Single: 2500, MFJ: 2500, HOH: 2500, MFS: 1250 },
+        reductionPerStep: 6,
+      },
+      mentalHealthTax: { threshold: 1000000, rate: 0.01 },
+      supplementalWithholdingRate: 0.1023,
+      withholding: { lowIncomeExemption: { Single: 18353, MFJ: 36706, HOH: 36706 }, allowanceDeduction: 1000 },
+      sdiRate: 0.012,
+    },
+    fica: {
+      ssRate: 0.062,
+      ssWageBase: 176100,
+      medicareRate: 0.0145,
+      addlMedicareRate: 0.009,
+      addlMedicareThreshold: { Single: 200000, MFJ: 250000, HOH: 200000, MFS: 125000 },
+      addlMedicareWithholdingThreshold: 200000,
+    },
+    retirement: {
+      limit401k: 23500,
+      limit415c: 70000,
+      catchup50: 7500,
+      catchup60to63: 11250,
+      rothCatchupWageThreshold: null,
+    },
+    benefits: {
+      hsa: { self: 4300, family: 8550, catchup55: 1000 },
+      healthFsa: 3300,
+      dependentCareFsa: { Single: 5000, MFJ: 5000, HOH: 5000, MFS: 2500 },
+      commuterMonthly: 325,
+    },
+  },
+
+  2026: {
+    year: 2026,
+    // FTB had not released the 2026 schedules; they and the exemption
+    // credits are the 2025 figures indexed by an assumed 3%.
+    estimated: ['ca.brackets', 'ca.standardDeduction', 'ca.exemptionCredit', 'ca.withholding.lowIncomeExemption'],
+    federal: {
+      brackets: {
+        Single: [
+          { upTo: 12400, rate: 0.10 },
+          { upTo: 50400, rate: 0.12 },
+          { upTo: 105700, rate: 0.22 },
+          { upTo: 201775, rate: 0.24 },
+          { upTo: 256225, rate: 0.32 },
+          { upTo: 640600, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        MFJ: [
+          { upTo: 24800, rate: 0.10 },
+          { upTo: 100800, rate: 0.12 },
+          { upTo: 211400, rate: 0.22 },
+          { upTo: 403550, rate: 0.24 },
+          { upTo: 512450, rate: 0.32 },
+          { upTo: 768700, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        HOH: [
+          { upTo: 17700, rate: 0.10 },
+          { upTo: 67450, rate: 0.12 },
+          { upTo: 105700, rate: 0.22 },
+          { upTo: 201750, rate: 0.24 },
+          { upTo: 256200, rate: 0.32 },
+          { upTo: 640600, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+        MFS: [
+          { upTo: 12400, rate: 0.10 },
+          { upTo: 50400, rate: 0.12 },
+          { upTo: 105700, rate: 0.22 },
+          { upTo: 201775, rate: 0.24 },
+          { upTo: 256225, rate: 0.32 },
+          { upTo: 384350, rate: 0.35 },
+          { upTo: Infinity, rate: 0.37 },
+        ],
+      },
+      standardDeduction: { Single: 16100, MFJ: 32200, HOH: 24150, MFS: 16100 },
+      childTaxCredit: {
+        perChild: 2200,
+        refundablePerChild: 1700,
+        perOtherDependent: 500,
+        phaseOutStart: { Single: 200000, MFJ: 400000, HOH: 200000, MFS: 200000 },
+        phaseOutStep: 1000,
+        reductionPerStep: 50,
+        earnedIncomeFloor: 2500,
+        refundableRate: 0.15,
+      },
+      supplementalWithholding: { rate: 0.22, highRate: 0.37, highThreshold: 1000000 },
+      withholding: {
+        standardDeduction: { Single: 16100, MFJ: 32200, HOH: 24150 },
+        allowance: { Single: 8600, MFJ: 12900, HOH: 8600 },
+      },
+    },
+    ca: {
+      brackets: {
+        Single: [
+          { upTo: 11411, rate: 0.01 },
+          { upTo: 27052, rate: 0.02 },
+          { upTo: 42696, rate: 0.04 },
+          { upTo: 59268, rate: 0.06 },
+          { upTo: 74906, rate: 0.08 },
+          { upTo: 382623, rate: 0.093 },
+          { upTo: 459144, rate: 0.103 },
+          { upTo: 765242, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        MFJ: [
+          { upTo: 22822, rate: 0.01 },
+          { upTo: 54104, rate: 0.02 },
+          { upTo: 85392, rate: 0.04 },
+          { upTo: 118536, rate: 0.06 },
+          { upTo: 149812, rate: 0.08 },
+          { upTo: 765246, rate: 0.093 },
+          { upTo: 918288, rate: 0.103 },
+          { upTo: 1530484, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        HOH: [
+          { upTo: 22838, rate: 0.01 },
+          { upTo: 54106, rate: 0.02 },
+          { upTo: 69747, rate: 0.04 },
+          { upTo: 86319, rate: 0.06 },
+          { upTo: 101960, rate: 0.08 },
+          { upTo: 520364, rate: 0.093 },
+          { upTo: 624439, rate: 0.103 },
+          { upTo: 1040730, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+        // California taxes separate filers on the single schedule
+        MFS: [
+          { upTo: 11411, rate: 0.01 },
+          { upTo: 27052, rate: 0.02 },
+          { upTo: 42696, rate: 0.04 },
+          { upTo: 59268, rate: 0.06 },
+          { upTo: 74906, rate: 0.08 },
+          { upTo: 382623, rate: 0.093 },
+          { upTo: 459144, rate: 0.103 },
+          { upTo: 765242, rate: 0.113 },
+          { upTo: Infinity, rate: 0.123 },
+        ],
+      },
+      standardDeduction: { Single: 5877, MFJ: 11754, HOH: 11754, MFS: 5877 },
+      exemptionCredit: {
+        personal: 158,
+        dependent: 489,
+        personalCount: { Single: 1, MFJ: 2, HOH: 1, MFS: 1 },
+        phaseOutStart: { Single: 259769, MFJ: 519543, HOH: 389659, MFS: 259769 },
+        phaseOutStep: { Single: 2500, MFJ: 2500, HOH: 2500, MFS: 1250 },
+        reductionPerStep: 6,
+      },
+      mentalHealthTax: { threshold: 1000000, rate: 0.01 },
+      supplementalWithholdingRate: 0.1023,
+      withholding: { lowIncomeExemption: { Single: 18904, MFJ: 37808, HOH: 37808 }, allowanceDeduction: 1000 },
+      sdiRate: 0.013,
+    },
+    fica: {
+      ssRate: 0.062,
+      ssWageBase: 184500,
+      medicareRate: 0.0145,
+      addlMedicareRate: 0.009,
+      addlMedicareThreshold: { Single: 200000, MFJ: 250000, HOH: 200000, MFS: 125000 },
+      addlMedicareWithholdingThreshold: 200000,
+    },
+    retirement: {
+      limit401k: 24500,
+      limit415c: 72000,
+      catchup50: 8000,
+      catchup60to63: 11250,
+      rothCatchupWageThreshold: 150000,
+    },
+    benefits: {
+      hsa: { self: 4400, family: 8750, catchup55: 1000 },
+      healthFsa: 3400,
+      dependentCareFsa: { Single: 7500, MFJ: 7500, HOH: 7500, MFS: 3750 },
+      commuterMonthly: 340,
+    },
+  },
+};
+
+export const DEFAULT_TAX_YEAR = 2026;
+
+/**
+ * Filing statuses every rule set has tables for, in the order the form lists them.
+ */
+export const FILING_STATUSES = [
+  { value: 'Single', label: 'Single' },
+  { value: 'MFJ', label: 'Married Filing Jointly' },
+  { value: 'MFS', label: 'Married Filing Separately' },
+  { value: 'HOH', label: 'Head of Household' },
+];
+
+/**
+ * Years available in the registry, oldest first.
+ */
+export const SUPPORTED_TAX_YEARS = Object.keys(TAX_YEARS).map(Number).sort((a, b) => a - b);
+
+/**
+ * Catch-up contribution allowed for a worker who is `age` at the end of the
+ * tax year: nothing under 50, the enhanced amount from 60 through 63, and the
+ * standard amount otherwise.  An unknown age gets no catch-up.
+ */
+export function catchupForAge(age, rules = getTaxYear()) {
+  if (!(age >= 50)) return 0;
+  if (age >= 60 && age <= 63) return rules.retirement.catchup60to63;
+  return rules.retirement.catchup50;
+}
+
+/**
+ * Look up the rule set for a tax year.  Throws for a year that has no table
+ * rather than silently using another year's numbers.
+ */
+export function getTaxYear(year = DEFAULT_TAX_YEAR) {
+  const rules = TAX_YEARS[year];
+  if (!rules) {
+    throw new RangeError(`No tax rules for ${year}; supported years are ${SUPPORTED_TAX_YEARS.join(', ')}`);
+  }
+  return rules;
+}
+
+function indexTable(table, factor) {
+  return table.map((b) => ({ upTo: b.upTo === Infinity ? Infinity : Math.round(b.upTo * factor), rate: b.rate }));
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+}
+
+/**
+ * Index a rule set forward by a cumulative inflation factor (1.03 for one
+ * year at 3%).  Bracket thresholds, standard deductions (including those in
+ * the withholding tables), the CA low income exemption, the SS wage base,
+ * the 401(k), HSA, health FSA and commuter limits, the Child Tax Credit amount
+ * and the CA exemption credits and their phase-out start move with inflation;
+ * rates, the Additional Medicare and Mental Health Services Tax thresholds,
+ * the Child Tax Credit phase-out, the HSA catch-up and the dependent-care FSA
+ * limit, which are fixed by statute, do not.  Like the IRS, the 401(k)
+ * deferral and catch-up limits are rounded down to a multiple of $500, the
+ * 415(c) limit to $1,000, the Roth catch-up wage threshold to $5,000, the
+ * HSA and health FSA limits to $50, the commuter limit to $5 and the Child
+ * Tax Credit to $100.  `year` is the calendar year the indexed rules stand
+ * for (by default the one they were indexed from).
+ */
+export function indexTaxYear(rules, factor, year = rules.year) {
+  if (factor === 1) return year === rules.year ? rules : { ...rules, year };
+  const round500 = (n) => Math.floor((n * factor) / 500) * 500;
+  return {
+    ...rules,
+    year,
+    federal: {
+      ...rules.federal,
+      brackets: mapValues(rules.federal.brackets, (t) => indexTable(t, factor)),
+      standardDeduction: mapValues(rules.federal.standardDeduction, (d) => Math.round(d * factor)),
+      childTaxCredit: {
+        ...rules.federal.childTaxCredit,
+        perChild: Math.floor((rules.federal.childTaxCredit.perChild * factor) / 100) * 100,
+      },
+      withholding: {
+        ...rules.federal.withholding,
+        standardDeduction: mapValues(rules.federal.withholding.standardDeduction, (d) => Math.round(d * factor)),
+      },
+    },
+    ca: {
+      ...rules.ca,
+      brackets: mapValues(rules.ca.brackets, (t) => indexTable(t, factor)),
+      standardDeduction: mapValues(rules.ca.standardDeduction, (d) => Math.round(d * factor)),
+      exemptionCredit: {
+        ...rules.ca.exemptionCredit,
+        personal: Math.round(rules.ca.exemptionCredit.personal * factor),
+        dependent: Math.round(rules.ca.exemptionCredit.dependent * factor),
+        phaseOutStart: mapValues(rules.ca.exemptionCredit.phaseOutStart, (d) => Math.round(d * factor)),
+      },
+      withholding: {
+        ...rules.ca.withholding,
+        lowIncomeExemption: mapValues(rules.ca.withholding.lowIncomeExemption, (d) => Math.round(d * factor)),
+      },
+    },
+    fica: {
+      ...rules.fica,
+      ssWageBase: Math.round(rules.fica.ssWageBase * factor),
+    },
+    retirement: {
+      limit401k: round500(rules.retirement.limit401k),
+      catchup50: round500(rules.retirement.catchup50),
+      catchup60to63: round500(rules.retirement.catchup60to63),
+      limit415c: Math.floor((rules.retirement.limit415c * factor) / 1000) * 1000,
+      rothCatchupWageThreshold:
+        rules.retirement.rothCatchupWageThreshold &&
+        Math.floor((rules.retirement.rothCatchupWageThreshold * factor) / 5000) * 5000,
+    },
+    benefits: {
+      ...rules.benefits,
+      hsa: {
+        ...rules.benefits.hsa,
+        self: Math.floor((rules.benefits.hsa.self * factor) / 50) * 50,
+        family: Math.floor((rules.benefits.hsa.family * factor) / 50) * 50,
+      },
+      healthFsa: Math.floor((rules.benefits.healthFsa * factor) / 50) * 50,
+      commuterMonthly: Math.floor((rules.benefits.commuterMonthly * factor) / 5) * 5,
+    },
+  };
+}
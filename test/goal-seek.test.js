@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bisect,
+  contributionCost,
+  solveSalaryForPaycheck,
+  solveRateForMatch,
+  solveRateForBalance,
+  goalSeek,
+} from '../src/goal-seek.js';
+import { computePaycheck, projectYears } from '../src/tax-engine.js';
+import { assertMoney, single2025 } from './helpers.js';
+
+const base = {
+  ...single2025,
+  payFreq: 'biweekly',
+  percent401k: 6,
+  matchTiers: [
+    { upTo: 3, rate: 1 },
+    { upTo: 5, rate: 0.5 },
+  ],
+};
+
+test('bisect finds where a monotonic test turns true', () => {
+  assert.ok(Math.abs(bisect((x) => x * x >= 2, 0, 2, 1e-9) - Math.SQRT2) < 1e-8);
+  assert.equal(bisect((x) => x >= 0, 0, 10, 0.1), 0);
+  assert.equal(bisect((x) => x > 10, 0, 10, 0.1), null);
+});
+
+test('solving for salary reproduces the target paycheck', () => {
+  const result = solveSalaryForPaycheck(base, 3000);
+  assert.equal(result.field, 'salary');
+  assert.ok(result.feasible);
+  const paycheck = computePaycheck({ ...base, salary: result.value }).earners[0].periodTakeHome;
+  assert.ok(paycheck >= 3000 && paycheck < 3000.01, `paycheck ${paycheck}`);
+  assertMoney(result.perPaycheck, paycheck);
+  // Going the other way round trips
+  const current = computePaycheck(base).earners[0].periodTakeHome;
+  assert.ok(Math.abs(solveSalaryForPaycheck(base, current).value - base.salary) < 0.02);
+  assert.equal(solveSalaryForPaycheck(base, 0).value, 0);
+});
+
+test('without a pay frequency the salary solver works in weekly paychecks', () => {
+  const inputs = { status: 'Single', salary: 100000 };
+  const result = solveSalaryForPaycheck(inputs, 1000);
+  assert.ok(result.feasible);
+  assertMoney(result.perPaycheck, 1000, 'weekly paycheck');
+  assert.equal(result.value, solveSalaryForPaycheck({ ...inputs, payFreq: 'weekly' }, 1000).value);
+});
+
+test('the match solver stops at the top tier or where take-home runs out', () => {
+  // 100% of 3% plus 50% of the next 2% tops out at 4% of pay from a 5% deferral
+  const free = solveRateForMatch(base, 0);
+  assert.equal(free.value, 5);
+  assertMoney(free.match, 4000);
+  assertMoney(free.fullMatch, 4000);
+  // A paycheck floor between 3% and 5% caps the rate below the top tier
+  const floor = computePaycheck({ ...base, percent401k: 4 }).earners[0].periodTakeHome;
+  const capped = solveRateForMatch(base, floor);
+  assert.ok(capped.value > 3.99 && capped.value <= 4, `rate ${capped.value}`);
+  assert.ok(capped.perPaycheck >= floor);
+  assert.ok(capped.match < capped.fullMatch);
+  // A floor above the paycheck with nothing deferred cannot be met
+  const impossible = solveRateForMatch(base, 1e6);
+  assert.equal(impossible.feasible, false);
+  assertMoney(impossible.fullMatch, 4000);
+});
+
+test('with a per-paycheck match the rate stops where the limit spreads over the year', () => {
+  const high = { ...base, salary: 400000, matchTiers: [{ upTo: 10, rate: 0.5 }], matchTrueUp: false };
+  const result = solveRateForMatch(high, 0);
+  // 23,500 spread over 400,000 is 5.875%; deferring more maxes out early and loses match
+  assertMoney(result.value, 5.875);
+  assertMoney(result.match, 11750);
+});
+
+test('solving for a balance reaches the target by the chosen year', () => {
+  const result = solveRateForBalance(base, 500000);
+  assert.ok(result.feasible);
+  const balance = projectYears({ ...base, percent401k: result.value }).futureValue;
+  assert.ok(balance >= 500000 && balance < 500100, `balance ${balance}`);
+  assert.ok(solveRateForBalance(base, 500000, 15).value > result.value);
+  const unreachable = solveRateForBalance(base, 1e8);
+  assert.equal(unreachable.feasible, false);
+  assert.ok(unreachable.maxBalance < 1e8);
+});
+
+test('the cost of a contributed dollar is one less the marginal rate, shared with any match', () => {
+  // 22% federal and 9.3% CA saved on each pretax dollar; FICA and SDI still apply
+  const past = contributionCost(base);
+  assertMoney(past.perDollar, 1 - 0.22 - 0.093);
+  assertMoney(past.perDollarSaved, past.perDollar);
+  // Inside the 50% tier each dollar brings another fifty cents of match
+  const inside = contributionCost({ ...base, percent401k: 4 });
+  assertMoney(inside.perDollarSaved, inside.perDollar / 1.5);
+  // At the deferral limit there is no next dollar
+  assert.equal(contributionCost({ ...base, percent401k: 50 }).perDollar, null);
+});
+
+test('goalSeek dispatches by goal and carries marginal rates', () => {
+  const result = goalSeek(base, { goal: 'takeHome', target: 3000 });
+  assert.equal(result.goal, 'takeHome');
+  assertMoney(result.marginal.federal, 0.22);
+  assert.ok(result.cost.perDollar > 0);
+  assert.throws(() => goalSeek(base, { goal: 'bogus', target: 1 }), /Unknown goal/);
+});
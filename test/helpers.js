@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict';
+
+// Golden values are worked by hand from the published bracket tables; compare
+// to the cent so float noise does not fail the suite.
+export function assertMoney(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 0.005, `${message || 'amount'}: expected ${expected}, got ${actual}`);
+}
+
+// A single filer on the 2025 rules saving over 20 years, for projection tests to build on
+export const single2025 = {
+  status: 'Single',
+  salary: 100000,
+  years: 20,
+  returnRate: 7,
+  taxYear: 2025,
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seededRandom, percentile, simulateProjection } from '../src/monte-carlo.js';
+import { SP500_TOTAL_RETURNS } from '../src/historical-returns.js';
+import { projectYears } from '../src/tax-engine.js';
+import { assertMoney, single2025 } from './helpers.js';
+
+const base = { ...single2025, percent401k: 10, startingBalance: 10000, compounding: 'monthly' };
+
+test('the historical table covers every year from 1928 without gaps', () => {
+  const years = Object.keys(SP500_TOTAL_RETURNS).map(Number);
+  assert.equal(years[0], 1928);
+  years.forEach((year, i) => assert.equal(year, 1928 + i));
+  assertMoney(SP500_TOTAL_RETURNS[2008], -36.55);
+});
+
+test('seededRandom is repeatable and stays in [0, 1)', () => {
+  const a = seededRandom(42);
+  const b = seededRandom(42);
+  for (let i = 0; i < 1000; i++) {
+    const x = a();
+    assert.equal(x, b());
+    assert.ok(x >= 0 && x < 1);
+  }
+  assert.notEqual(seededRandom(1)(), seededRandom(2)());
+});
+
+test('percentile interpolates between ranks', () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentile([0, 10], 10), 1);
+  assert.equal(percentile([7], 90), 7);
+  assert.equal(percentile([], 50), 0);
+});
+
+test('with no volatility every path matches the deterministic projection', () => {
+  const sim = simulateProjection(base, { volatility: 0, paths: 5 });
+  const proj = projectYears(base);
+  sim.data.forEach((row, i) => {
+    assertMoney(row.p10, proj.data[i].balance);
+    assertMoney(row.p90, proj.data[i].balance);
+    assertMoney(row.deterministic, proj.data[i].balance);
+  });
+  assertMoney(sim.final.p50, proj.futureValue);
+});
+
+test('simulations are repeatable for a seed and bands are ordered', () => {
+  const options = { paths: 500, target: 500000 };
+  assert.deepEqual(simulateProjection(base, options), simulateProjection(base, options));
+  assert.notDeepEqual(simulateProjection(base, options).final, simulateProjection(base, { ...options, seed: 2 }).final);
+  for (const model of ['normal', 'historical']) {
+    const sim = simulateProjection(base, { ...options, model });
+    assert.equal(sim.data.length, 20);
+    for (const row of sim.data) assert.ok(row.p10 <= row.p50 && row.p50 <= row.p90, `${model} year ${row.year}`);
+    // Volatility drags the median below the mean outcome
+    if (model === 'normal') assert.ok(sim.final.p50 < projectYears(base).futureValue);
+  }
+});
+
+test('the target probability counts paths that reach it', () => {
+  assert.equal(simulateProjection(base, { paths: 200, target: 0 }).probability, 1);
+  assert.equal(simulateProjection(base, { paths: 200, target: 1e12 }).probability, 0);
+  const sim = simulateProjection(base, { paths: 1000, target: projectYears(base).futureValue });
+  assert.ok(sim.probability > 0.2 && sim.probability < 0.6);
+});
+
+test('bootstrapping only draws returns from the table', () => {
+  const history = { 2000: 10, 2001: -10 };
+  const sim = simulateProjection(
+    { ...base, percent401k: 0, years: 1, compounding: 'annual', startingBalance: 1000 },
+    { model: 'historical', history, paths: 100 },
+  );
+  assertMoney(sim.data[0].p10, 900);
+  assertMoney(sim.data[0].p90, 1100);
+});
@@ -0,0 +1,233 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCENARIO_VERSION,
+  DEFAULT_SCENARIO,
+  normalizeScenario,
+  serializeScenario,
+  parseScenario,
+  scenarioHash,
+  scenarioFromHash,
+  scenarioInputs,
+  summarizeScenario,
+  loadCurrentScenario,
+  saveCurrentScenario,
+  loadSavedScenarios,
+  saveScenario,
+  deleteScenario,
+} from '../src/scenario.js';
+import { computePaycheck, getTaxYear } from '../src/tax-engine.js';
+
+const memoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => items[key] ?? null,
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+};
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+test('scenarios round-trip through serialization', () => {
+  const scenario = {
+    ...DEFAULT_SCENARIO,
+    status: 'Single',
+    salary: 185000,
+    federalDeduct: 20000,
+    twoEarner: true,
+    benefits: [{ type: 'hsa', amount: 4300, coverage: 'self', owner: 'self', federal: true, ca: false, fica: true }],
+    supplemental: [{ type: 'bonus', amount: 25000, date: '2025-03-15', owner: 'self' }],
+    w4: { extraWithholding: 50 },
+    de4: { allowances: 2 },
+  };
+  assert.deepEqual(parseScenario(serializeScenario(scenario)), scenario);
+  assert.deepEqual(scenarioFromHash(scenarioHash(scenario)), scenario);
+});
+
+test('serialization writes every field so links survive changed defaults', () => {
+  const encoded = serializeScenario({ ...DEFAULT_SCENARIO, salary: 120000 });
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  const data = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  assert.equal(data.v, SCENARIO_VERSION);
+  assert.equal(data.taxYear, DEFAULT_SCENARIO.taxYear);
+  assert.deepEqual(Object.keys(data).slice(1), Object.keys(DEFAULT_SCENARIO));
+  assert.deepEqual(parseScenario(serializeScenario(DEFAULT_SCENARIO)), DEFAULT_SCENARIO);
+});
+
+test('parseScenario rejects garbage and newer versions', () => {
+  assert.equal(parseScenario(''), null);
+  assert.equal(parseScenario(null), null);
+  assert.equal(parseScenario('not base64 json!'), null);
+  assert.equal(parseScenario(encode([1, 2])), null);
+  assert.equal(parseScenario(encode({ salary: 1 })), null);
+  assert.equal(parseScenario(encode({ v: SCENARIO_VERSION + 1, salary: 1 })), null);
+  assert.equal(scenarioFromHash('#other=1'), null);
+  assert.equal(scenarioFromHash(''), null);
+});
+
+test('fields of the wrong type fall back to the defaults', () => {
+  const scenario = normalizeScenario({
+    salary: '90000',
+    age: Infinity,
+    benefits: 'none',
+    federalDeduct: 'lots',
+    limit401k: 20000,
+    extra: true,
+  });
+  assert.equal(scenario.salary, DEFAULT_SCENARIO.salary);
+  assert.equal(scenario.age, DEFAULT_SCENARIO.age);
+  assert.deepEqual(scenario.benefits, []);
+  assert.equal(scenario.federalDeduct, null);
+  assert.equal(scenario.limit401k, 20000);
+  assert.equal('extra' in scenario, false);
+});
+
+test('values outside their allowed choices fall back to the defaults', () => {
+  const scenario = normalizeScenario({
+    taxYear: 2023,
+    status: 'QSS',
+    payFreq: 'daily',
+    compounding: 'hourly',
+    withdrawalMethod: 'whim',
+    returnModel: 'crypto',
+  });
+  for (const key of ['taxYear', 'status', 'payFreq', 'compounding', 'withdrawalMethod', 'returnModel']) {
+    assert.equal(scenario[key], DEFAULT_SCENARIO[key], key);
+  }
+  assert.equal(normalizeScenario({ taxYear: 2025, status: 'HOH' }).status, 'HOH');
+});
+
+test('numbers are clamped to the ranges the form allows', () => {
+  const scenario = parseScenario(
+    encode({
+      v: SCENARIO_VERSION,
+      years: 1e7,
+      retirementYears: 1e7,
+      simulationPaths: 1e9,
+      salary: -50000,
+      age: 7,
+      children: 2.6,
+      otherDependents: -1,
+      percent401k: 250,
+      leaveAfterYears: -2,
+      employer: {
+        matchTiers: [{ upTo: 150, rate: 9 }],
+        nonElectivePercent: 40,
+        vesting: { type: 'graded', years: 30 },
+      },
+      federalDeduct: -100,
+      supplementalGrowth: 1e6,
+      de4: { allowances: 1e9, additionalAllowances: -3 },
+    }),
+  );
+  assert.equal(scenario.years, 50);
+  assert.equal(scenario.retirementYears, 60);
+  assert.equal(scenario.simulationPaths, 20000);
+  assert.equal(scenario.salary, 0);
+  assert.equal(scenario.age, 18);
+  assert.equal(scenario.children, 3);
+  assert.equal(scenario.otherDependents, 0);
+  assert.equal(scenario.percent401k, 100);
+  assert.equal(scenario.leaveAfterYears, 0);
+  assert.deepEqual(scenario.employer.matchTiers, [{ upTo: 100, rate: 4 }]);
+  assert.equal(scenario.employer.nonElectivePercent, 25);
+  assert.deepEqual(scenario.employer.vesting, { type: 'graded', years: 10 });
+  assert.equal(scenario.federalDeduct, 0);
+  assert.equal(scenario.supplementalGrowth, 100);
+  assert.deepEqual(scenario.de4, { allowances: 1e9, additionalAllowances: 0 });
+  assert.ok(Number.isFinite(summarizeScenario(scenario).futureValue));
+});
+
+test('settings groups and list items are checked field by field', () => {
+  const scenario = normalizeScenario({
+    employer: { matchTiers: 'x', vesting: { type: 'someday', years: 4 }, nonElectivePercent: '3' },
+    spouseEmployer: { matchTiers: [{ upTo: 4, rate: 1 }, { upTo: 'more' }] },
+    benefits: [null, { type: 'hsa', amount: 1000, coverage: 'everyone' }, { type: 'yacht', amount: 5 }, 'x'],
+    supplemental: [{ type: 'bonus', amount: 5000, date: 20250315 }, { amount: 1 }],
+    w4: { extraWithholding: 'lots', multipleJobs: true, status: 'MFS' },
+    de4: [1, 2],
+  });
+  assert.deepEqual(scenario.employer.matchTiers, DEFAULT_SCENARIO.employer.matchTiers);
+  assert.deepEqual(scenario.employer.vesting, { type: 'immediate', years: 4 });
+  assert.equal(scenario.employer.nonElectivePercent, 0);
+  assert.deepEqual(scenario.spouseEmployer.matchTiers, DEFAULT_SCENARIO.spouseEmployer.matchTiers);
+  assert.deepEqual(scenario.benefits, [{ type: 'hsa', amount: 1000 }]);
+  assert.deepEqual(scenario.supplemental, [{ type: 'bonus', amount: 5000 }]);
+  assert.deepEqual(scenario.w4, { multipleJobs: true });
+  assert.deepEqual(scenario.de4, {});
+  // What is left computes
+  assert.ok(Number.isFinite(summarizeScenario(scenario).takeHome));
+});
+
+test('scenarioInputs leaves year-dependent fields to the engine and splits by owner', () => {
+  const single = scenarioInputs({ ...DEFAULT_SCENARIO, status: 'Single', salary: 100000 });
+  assert.equal(single.federalDeduct, undefined);
+  assert.equal(single.spouse, undefined);
+  const rules = getTaxYear(single.taxYear);
+  assert.deepEqual(
+    computePaycheck(single),
+    computePaycheck({
+      ...single,
+      federalDeduct: rules.federal.standardDeduction.Single,
+      caDeduct: rules.ca.standardDeduction.Single,
+      limit401k: rules.retirement.limit401k,
+    }),
+  );
+
+  const benefits = [
+    { type: 'section125', amount: 2000, owner: 'self' },
+    { type: 'section125', amount: 3000, owner: 'spouse' },
+  ];
+  const couple = scenarioInputs({ ...DEFAULT_SCENARIO, twoEarner: true, spouseMultipleJobs: true, benefits });
+  assert.deepEqual(couple.benefits, [benefits[0]]);
+  assert.deepEqual(couple.spouse.benefits, [benefits[1]]);
+  assert.equal(couple.spouse.w4.multipleJobs, true);
+
+  // Without a working spouse every item is the primary earner's
+  const one = scenarioInputs({ ...DEFAULT_SCENARIO, status: 'Single', twoEarner: true, benefits });
+  assert.equal(one.spouse, undefined);
+  assert.deepEqual(one.benefits, benefits);
+});
+
+test('summarizeScenario reports the headline numbers', () => {
+  const scenario = { ...DEFAULT_SCENARIO, taxYear: 2025, status: 'Single', salary: 100000 };
+  const year = computePaycheck(scenarioInputs(scenario));
+  const summary = summarizeScenario(scenario);
+  assert.equal(summary.takeHome, year.takeHome);
+  assert.equal(summary.fica, year.fica + year.casdi);
+  assert.ok(summary.futureValue > 0);
+  assert.ok(summary.afterTaxValue < summary.futureValue);
+});
+
+test('the current scenario and named scenarios persist in storage', () => {
+  const storage = memoryStorage();
+  assert.equal(loadCurrentScenario(storage), null);
+  const current = { ...DEFAULT_SCENARIO, salary: 140000 };
+  saveCurrentScenario(storage, current);
+  assert.deepEqual(loadCurrentScenario(storage), current);
+
+  assert.deepEqual(loadSavedScenarios(storage), {});
+  saveScenario(storage, 'Base', DEFAULT_SCENARIO);
+  const saved = saveScenario(storage, 'Max 401(k)', { ...DEFAULT_SCENARIO, percent401k: 20 });
+  assert.deepEqual(Object.keys(saved), ['Base', 'Max 401(k)']);
+  assert.equal(loadSavedScenarios(storage)['Max 401(k)'].percent401k, 20);
+
+  assert.deepEqual(Object.keys(deleteScenario(storage, 'Base')), ['Max 401(k)']);
+  assert.deepEqual(Object.keys(loadSavedScenarios(storage)), ['Max 401(k)']);
+});
+
+test('unreadable storage entries are ignored', () => {
+  const storage = memoryStorage();
+  storage.setItem('ca-paycheck-calculator:scenarios', '{broken');
+  assert.deepEqual(loadSavedScenarios(storage), {});
+  storage.setItem('ca-paycheck-calculator:scenarios', JSON.stringify({ ok: serializeScenario(DEFAULT_SCENARIO), bad: 'x' }));
+  assert.deepEqual(Object.keys(loadSavedScenarios(storage)), ['ok']);
+});
+
+test('settings groups pick up fields missing from older saves', () => {
+  const scenario = normalizeScenario({ employer: { nonElectivePercent: 3 } });
+  assert.equal(scenario.employer.nonElectivePercent, 3);
+  assert.deepEqual(scenario.employer.matchTiers, DEFAULT_SCENARIO.employer.matchTiers);
+});
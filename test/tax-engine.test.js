@@ -0,0 +1,1040 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  progressiveTax,
+  calcFederalTax,
+  calcCATax,
+  calcFicaComponents,
+  calcCASDI,
+  clamp401k,
+  calcChildTaxCredits,
+  calcCAExemptionCredits,
+  calcMentalHealthTax,
+  split401k,
+  calcEmployerMatch,
+  vestedPercent,
+  calcBenefitDeductions,
+  calcSupplementalWithholding,
+  calcFederalWithholding,
+  calcCAWithholding,
+  catchupForAge,
+  computePaycheck,
+  calcMarginalRates,
+  calcTaxRates,
+  sweepSalary,
+  bracketPosition,
+  computePaySchedule,
+  compareWithholding,
+  projectYears,
+  projectDrawdown,
+  compareTraditionalRoth,
+  TAX_YEARS,
+} from '../src/tax-engine.js';
+import { assertMoney } from './helpers.js';
+
+const Y2024 = TAX_YEARS[2024];
+const Y2025 = TAX_YEARS[2025];
+const FED_SINGLE_BRACKETS = Y2025.federal.brackets.Single;
+const FED_MFJ_BRACKETS = Y2025.federal.brackets.MFJ;
+const CA_SINGLE_BRACKETS = Y2024.ca.brackets.Single;
+
+test('progressiveTax is zero for zero or negative income', () => {
+  assert.equal(progressiveTax(0, FED_SINGLE_BRACKETS), 0);
+  assert.equal(progressiveTax(-500, FED_SINGLE_BRACKETS), 0);
+});
+
+test('progressiveTax at federal single bracket edges', () => {
+  assertMoney(progressiveTax(11925, FED_SINGLE_BRACKETS), 1192.5, 'top of 10%');
+  assertMoney(progressiveTax(11926, FED_SINGLE_BRACKETS), 1192.62, 'first dollar of 12%');
+  assertMoney(progressiveTax(48475, FED_SINGLE_BRACKETS), 5578.5, 'top of 12%');
+  assertMoney(progressiveTax(103350, FED_SINGLE_BRACKETS), 17651, 'top of 22%');
+  assertMoney(progressiveTax(626350, FED_SINGLE_BRACKETS), 188769.75, 'top of 35%');
+  assertMoney(progressiveTax(1000000, FED_SINGLE_BRACKETS), 327020.25, 'deep in 37%');
+});
+
+test('progressiveTax at federal MFJ bracket edges', () => {
+  assertMoney(progressiveTax(23850, FED_MFJ_BRACKETS), 2385, 'top of 10%');
+  assertMoney(progressiveTax(96950, FED_MFJ_BRACKETS), 11157, 'top of 12%');
+  assertMoney(progressiveTax(206700, FED_MFJ_BRACKETS), 35302, 'top of 22%');
+});
+
+test('progressiveTax at California single bracket edges', () => {
+  assertMoney(progressiveTax(10756, CA_SINGLE_BRACKETS), 107.56, 'top of 1%');
+  assertMoney(progressiveTax(70606, CA_SINGLE_BRACKETS), 3108.72, 'top of 8%');
+});
+
+test('calcFederalTax and calcCATax pick the table by filing status', () => {
+  assertMoney(calcFederalTax(79000, 'Single', Y2025), 12294);
+  assertMoney(calcFederalTax(64000, 'MFJ', Y2025), 7203);
+  assertMoney(calcCATax(88460, 'Single', Y2024), 4769.142);
+  assertMoney(calcCATax(82920, 'MFJ', Y2024), 2130.32);
+});
+
+test('head of household uses its own federal and CA schedules and deductions', () => {
+  const r = computePaycheck({ status: 'HOH', salary: 80000, taxYear: 2025 });
+  assertMoney(r.taxableFed, 56375);
+  assertMoney(r.fedTax, 6425);
+  assertMoney(r.taxableCA, 68588);
+  assertMoney(r.caTaxBeforeCredits, 1488.63);
+  assertMoney(r.caTax, 1335.63);
+});
+
+test('married filing separately halves the federal 35% bracket but uses the CA single schedule', () => {
+  assertMoney(calcFederalTax(400000, 'MFS', Y2025), 110031.25);
+  assertMoney(calcFederalTax(400000, 'Single', Y2025), 109547.25);
+  assertMoney(calcCATax(88294, 'MFS', Y2025), calcCATax(88294, 'Single', Y2025));
+});
+
+test('unknown filing statuses are rejected', () => {
+  assert.throws(() => calcFederalTax(50000, 'QSS', Y2025), RangeError);
+  assert.throws(() => computePaycheck({ status: 'mfj', salary: 50000 }), RangeError);
+});
+
+test('CA exemption credits phase out $6 per $2,500 of AGI over the threshold', () => {
+  // 2025 single threshold is $252,203
+  assert.deepEqual(calcCAExemptionCredits(252203, 'Single', 0, Y2025), { personal: 153, dependent: 0 });
+  assert.deepEqual(calcCAExemptionCredits(252204, 'Single', 0, Y2025), { personal: 147, dependent: 0 });
+  assert.deepEqual(calcCAExemptionCredits(252203 + 12500, 'Single', 2, Y2025), { personal: 123, dependent: 2 * 445 });
+  assert.deepEqual(calcCAExemptionCredits(100000, 'MFJ', 1, Y2025), { personal: 306, dependent: 475 });
+  assert.deepEqual(calcCAExemptionCredits(2000000, 'MFJ', 3, Y2025), { personal: 0, dependent: 0 });
+});
+
+test('CA exemption credits phase out twice as fast when filing separately', () => {
+  assert.equal(calcCAExemptionCredits(252203 + 1250, 'MFS', 0, Y2025).personal, 147);
+  assert.equal(calcCAExemptionCredits(252203 + 1251, 'MFS', 0, Y2025).personal, 141);
+});
+
+test('Mental Health Services Tax is 1% of CA taxable income over $1M', () => {
+  assert.equal(calcMentalHealthTax(1000000, Y2025), 0);
+  assertMoney(calcMentalHealthTax(1500000, Y2025), 5000);
+  const r = computePaycheck({ status: 'Single', salary: 1200000, taxYear: 2025 });
+  assertMoney(r.mentalHealthTax, 1942.94);
+  assert.equal(r.caCredits.personal, 0, 'fully phased out');
+  assertMoney(r.caTax, r.caTaxBeforeCredits + 1942.94);
+});
+
+test('Child Tax Credit phases out $50 per $1,000 over the threshold', () => {
+  const base = { status: 'MFJ', children: 2, taxBeforeCredits: 50000, earnedIncome: 400000 };
+  assert.equal(calcChildTaxCredits({ ...base, agi: 400000 }, Y2025).childTaxCredit, 4400);
+  assert.equal(calcChildTaxCredits({ ...base, agi: 400001 }, Y2025).childTaxCredit, 4350);
+  assert.equal(calcChildTaxCredits({ ...base, agi: 410000 }, Y2025).childTaxCredit, 3900);
+  assert.equal(calcChildTaxCredits({ ...base, agi: 500000 }, Y2025).childTaxCredit, 0);
+});
+
+test('the phase-out reduces the credit for other dependents first', () => {
+  const r = calcChildTaxCredits(
+    { agi: 205000, status: 'Single', children: 1, otherDependents: 1, taxBeforeCredits: 40000, earnedIncome: 205000 },
+    Y2025,
+  );
+  assert.deepEqual(r, { childTaxCredit: 2200, otherDependentCredit: 250, additionalChildTaxCredit: 0 });
+});
+
+test('unused Child Tax Credit is partly refundable', () => {
+  const r = computePaycheck({ status: 'Single', salary: 30000, children: 2, taxYear: 2025 });
+  assertMoney(r.fedTaxBeforeCredits, 1471.5);
+  assertMoney(r.fedCredits.childTaxCredit, 1471.5);
+  assertMoney(r.fedCredits.additionalChildTaxCredit, 2928.5);
+  assertMoney(r.fedTax, -2928.5);
+  // CA credits only offset tax; they never go below zero
+  assertMoney(r.caCredits.personal + r.caCredits.dependent, r.caTaxBeforeCredits);
+  assert.equal(r.caTax, 0);
+  // The refundable part is capped at 15% of earned income over $2,500
+  const low = computePaycheck({ status: 'Single', salary: 10000, children: 2, taxYear: 2025 });
+  assertMoney(low.fedCredits.additionalChildTaxCredit, 1125);
+});
+
+test('Social Security stops at the wage base', () => {
+  const base = Y2025.fica.ssWageBase;
+  assertMoney(calcFicaComponents(base, 'Single', Y2025).ss, 10918.2, 'at wage base');
+  assertMoney(calcFicaComponents(base + 50000, 'Single', Y2025).ss, 10918.2, 'above wage base');
+  assertMoney(calcFicaComponents(100000, 'Single', Y2025).ss, 6200, 'below wage base');
+  assertMoney(calcFicaComponents(200000, 'Single', Y2024).ss, 10453.2, '2024 wage base');
+});
+
+test('Additional Medicare applies above the filing-status threshold', () => {
+  assertMoney(calcFicaComponents(200000, 'Single', Y2025).medicare, 2900, 'single at threshold');
+  assertMoney(calcFicaComponents(250000, 'Single', Y2025).medicare, 4075, 'single $50k over');
+  assertMoney(calcFicaComponents(250000, 'MFJ', Y2025).medicare, 3625, 'MFJ at threshold');
+  assertMoney(calcFicaComponents(300000, 'MFJ', Y2025).medicare, 4800, 'MFJ $50k over');
+  assertMoney(calcFicaComponents(150000, 'MFS', Y2025).medicare, 2400, 'MFS $25k over');
+  assertMoney(calcFicaComponents(250000, 'HOH', Y2025).medicare, 4075, 'HOH $50k over');
+});
+
+test('CA SDI is uncapped', () => {
+  assertMoney(calcCASDI(100000, Y2025), 1200);
+  assertMoney(calcCASDI(1000000, Y2025), 12000);
+  assertMoney(calcCASDI(100000, Y2024), 1100);
+});
+
+test('clamp401k respects the limit and catch-up', () => {
+  assert.equal(clamp401k(0.06, 100000, 23000, 0), 6000);
+  assert.equal(clamp401k(0.5, 100000, 23000, 0), 23000);
+  assert.equal(clamp401k(0.5, 100000, 23000, 7500), 30500);
+  assert.equal(clamp401k(-0.1, 100000, 23000, 0), 0);
+});
+
+test('computePaycheck golden values for a single filer', () => {
+  const r = computePaycheck({ status: 'Single', salary: 100000, percent401k: 6, matchRate: 0.5, matchCap: 6, taxYear: 2025 });
+  assertMoney(r.employee401k, 6000);
+  assertMoney(r.match, 3000);
+  assertMoney(r.taxableFed, 78250);
+  assertMoney(r.taxableCA, 88294);
+  assertMoney(r.fedTax, 12129);
+  assertMoney(r.caTaxBeforeCredits, 4649.98);
+  assertMoney(r.caCredits.personal, 153);
+  assertMoney(r.caTax, 4496.98);
+  assertMoney(r.fica, 7650);
+  assertMoney(r.casdi, 1200);
+  assertMoney(r.takeHome, 68524.02);
+});
+
+test('computePaycheck golden values for a joint filer', () => {
+  const r = computePaycheck({ status: 'MFJ', salary: 100000, percent401k: 6, matchRate: 0.5, matchCap: 6, taxYear: 2025 });
+  assertMoney(r.fedTax, 7023);
+  assertMoney(r.caTaxBeforeCredits, 2031.38);
+  assertMoney(r.caCredits.personal, 306);
+  assertMoney(r.caTax, 1725.38);
+  assertMoney(r.takeHome, 76401.62);
+});
+
+test('computePaycheck defaults the 401(k) limit to the tax year', () => {
+  assertMoney(computePaycheck({ salary: 100000, percent401k: 50, taxYear: 2024 }).employee401k, 23000);
+  assertMoney(computePaycheck({ salary: 100000, percent401k: 50, taxYear: 2025 }).employee401k, 23500);
+  assertMoney(computePaycheck({ salary: 100000, percent401k: 50, taxYear: 2026 }).employee401k, 24500);
+});
+
+test('computePaycheck caps the match at matchCap and honours deduction overrides', () => {
+  const r = computePaycheck({
+    status: 'Single',
+    salary: 100000,
+    percent401k: 10,
+    matchRate: 1,
+    matchCap: 4,
+    federalDeduct: 0,
+    caDeduct: 0,
+  });
+  assertMoney(r.match, 4000);
+  assertMoney(r.taxableFed, 90000);
+  assertMoney(r.taxableCA, 90000);
+});
+
+test('projectYears compounds end-of-year contributions', () => {
+  const p = projectYears({
+    status: 'MFJ',
+    salary: 100000,
+    percent401k: 6,
+    matchRate: 0.5,
+    matchCap: 6,
+    raise: 3,
+    years: 3,
+    returnRate: 7,
+    discountRate: 4,
+    taxYear: 2025,
+  });
+  assert.equal(p.data.length, 3);
+  assert.deepEqual(p.data.map((r) => r.calendarYear), [2025, 2026, 2027]);
+  assertMoney(p.data[2].salary, 106090);
+  assertMoney(p.data[2].cumulative, 27818.1);
+  assertMoney(p.totalEmployee, 18545.4);
+  assertMoney(p.totalMatch, 9272.7);
+  assertMoney(p.futureValue, 29771.1);
+  assertMoney(p.presentValue, 9000 / 1.04 + 9270 / 1.04 ** 2 + 9548.1 / 1.04 ** 3);
+  assertMoney(p.data[0].takeHome, 76401.62);
+});
+
+test('projectYears indexes brackets forward with inflation', () => {
+  const base = { status: 'Single', salary: 150000, percent401k: 10, raise: 3, years: 20, taxYear: 2025 };
+  const flat = projectYears(base);
+  const indexed = projectYears({ ...base, inflation: 3 });
+  // Year 1 is taxed on the unindexed tables either way
+  assertMoney(indexed.data[0].takeHome, flat.data[0].takeHome);
+  // Raises that only match inflation keep the take-home share roughly constant once brackets move too
+  const share = (row) => row.takeHome / row.salary;
+  assert.ok(share(flat.data[19]) < share(flat.data[0]) - 0.02);
+  assert.ok(Math.abs(share(indexed.data[19]) - share(indexed.data[0])) < 0.005);
+});
+
+test('projectYears indexes caller overrides without rounding year 1', () => {
+  const p = projectYears({ salary: 400000, percent401k: 50, limit401k: 23250, years: 2, inflation: 10, taxYear: 2025 });
+  assertMoney(p.data[0].employee, 23250);
+  assertMoney(p.data[1].employee, 25500);
+});
+
+test('two-earner MFJ applies the SS wage base, 401(k) limit and match per spouse', () => {
+  const oneEarner = computePaycheck({ status: 'MFJ', salary: 300000, percent401k: 50, taxYear: 2025 });
+  const twoEarners = computePaycheck({
+    status: 'MFJ',
+    salary: 150000,
+    percent401k: 50,
+    matchRate: 1,
+    matchCap: 4,
+    taxYear: 2025,
+    spouse: { salary: 150000, percent401k: 50, matchRate: 0.5, matchCap: 6 },
+  });
+  assertMoney(oneEarner.ss, 10918.2);
+  assertMoney(twoEarners.ss, 18600);
+  assertMoney(oneEarner.employee401k, 23500);
+  assertMoney(twoEarners.employee401k, 47000);
+  assertMoney(twoEarners.match, 6000 + 4500);
+  // Additional Medicare is settled on combined wages: $50k over the $250k joint threshold either way
+  assertMoney(twoEarners.medicare - 300000 * 0.0145, 450);
+  assertMoney(twoEarners.casdi, 3600);
+});
+
+test('two-earner MFJ taxes the combined return and splits it between spouses', () => {
+  const joint = computePaycheck({
+    status: 'MFJ',
+    salary: 120000,
+    payFreq: 'biweekly',
+    percent401k: 10,
+    taxYear: 2025,
+    spouse: { salary: 60000, percent401k: 0, payFreq: 'semimonthly' },
+  });
+  const combined = computePaycheck({ status: 'MFJ', salary: 180000, percent401k: 100 * (12000 / 180000), taxYear: 2025 });
+  assertMoney(joint.fedTax, combined.fedTax);
+  assertMoney(joint.caTax, combined.caTax);
+  const [me, spouse] = joint.earners;
+  // Income tax is split by each spouse's share of taxable wages: 108,000 vs 60,000
+  assertMoney(me.fedTax, (joint.fedTax * 108000) / 168000);
+  assertMoney(spouse.caTax, (joint.caTax * 60000) / 168000);
+  assertMoney(me.takeHome + spouse.takeHome, joint.takeHome);
+  assertMoney(me.periodTakeHome, me.takeHome / 26);
+  assertMoney(spouse.periodTakeHome, spouse.takeHome / 24);
+});
+
+test('a spouse is ignored unless filing jointly', () => {
+  const r = computePaycheck({ status: 'MFS', salary: 100000, spouse: { salary: 100000 }, taxYear: 2025 });
+  assert.equal(r.salary, 100000);
+  assert.equal(r.earners.length, 1);
+});
+
+test('projectYears gives the spouse the same raise', () => {
+  const p = projectYears({
+    status: 'MFJ',
+    salary: 100000,
+    raise: 10,
+    years: 2,
+    taxYear: 2025,
+    spouse: { salary: 50000, percent401k: 10 },
+  });
+  assertMoney(p.data[0].salary, 150000);
+  assertMoney(p.data[1].salary, 165000);
+  assertMoney(p.data[1].employee, 5500);
+});
+
+test('pretax and Roth deferrals share the 402(g) limit', () => {
+  const r = split401k({ salary: 200000, percent401k: 10, rothPercent401k: 10 }, Y2025);
+  assertMoney(r.pretax, 11750);
+  assertMoney(r.roth, 11750);
+  // The match is earned on Roth deferrals too
+  assertMoney(split401k({ salary: 100000, rothPercent401k: 6, matchRate: 0.5, matchCap: 6 }, Y2025).match, 3000);
+});
+
+test('after-tax contributions fill the 415(c) room left by deferrals and the match', () => {
+  const base = { salary: 300000, percent401k: 15, matchRate: 1, matchCap: 6, afterTaxPercent: 30 };
+  // 70,000 - 23,500 deferral - 18,000 match
+  assertMoney(split401k(base, Y2025).afterTax, 28500);
+  // Catch-up contributions do not count against 415(c)
+  const withCatchup = split401k({ ...base, catchup401k: 7500 }, Y2025);
+  assertMoney(withCatchup.pretax, 31000);
+  assertMoney(withCatchup.afterTax, 28500);
+  assertMoney(split401k({ ...base, afterTaxPercent: 5 }, Y2025).afterTax, 15000);
+});
+
+test('only pretax deferrals lower taxable income', () => {
+  const roth = computePaycheck({ status: 'Single', salary: 100000, rothPercent401k: 6, taxYear: 2025 });
+  assertMoney(roth.taxableFed, 84250);
+  assertMoney(roth.pretax401k, 0);
+  assertMoney(roth.roth401k, 6000);
+  assertMoney(roth.employee401k, 6000);
+  const afterTax = computePaycheck({ status: 'Single', salary: 100000, afterTaxPercent: 5, taxYear: 2025 });
+  assertMoney(afterTax.taxableFed, 84250);
+  assertMoney(afterTax.takeHome, roth.takeHome + 1000);
+});
+
+test('projectYears taxes each bucket at withdrawal by its treatment', () => {
+  const base = { status: 'Single', salary: 100000, years: 2, returnRate: 10, retirementTaxRate: 20, taxYear: 2025 };
+  const pretax = projectYears({ ...base, percent401k: 10 });
+  assertMoney(pretax.futureValueByType.pretax, 10000 * 1.1 + 10000);
+  assertMoney(pretax.afterTaxValue, 21000 * 0.8);
+  const roth = projectYears({ ...base, rothPercent401k: 10 });
+  assertMoney(roth.afterTaxValue, 21000);
+  // Unconverted after-tax money owes tax on its 1,000 of earnings only
+  const afterTax = projectYears({ ...base, afterTaxPercent: 10 });
+  assertMoney(afterTax.afterTaxValue, 21000 - 1000 * 0.2);
+  const converted = projectYears({ ...base, afterTaxPercent: 10, convertAfterTax: true });
+  assertMoney(converted.futureValueByType.roth, 21000);
+  assertMoney(converted.afterTaxValue, 21000);
+});
+
+test('projectYears grows a starting balance alongside contributions', () => {
+  const base = { status: 'Single', salary: 100000, percent401k: 10, years: 2, returnRate: 10, taxYear: 2025 };
+  const p = projectYears({ ...base, startingBalance: 50000, startingRothBalance: 5000 });
+  assertMoney(p.data[0].balance, 55000 * 1.1 + 10000);
+  assertMoney(p.data[1].balance, 70500 * 1.1 + 10000);
+  assertMoney(p.data[1].growth, 7050);
+  assertMoney(p.futureValue, 87550);
+  assertMoney(p.futureValueByType.roth, 5000 * 1.21);
+  // Starting money does not count as a contribution
+  assertMoney(p.data[1].cumulative, 20000);
+});
+
+test('projectYears spreads contributions over the year when compounding monthly or per paycheck', () => {
+  // 10,000 a year at an effective 10%: each deposit earns for the rest of the year
+  const base = { status: 'Single', salary: 100000, percent401k: 10, years: 1, returnRate: 10, taxYear: 2025 };
+  assertMoney(projectYears(base).futureValue, 10000);
+  assertMoney(projectYears({ ...base, compounding: 'monthly' }).futureValue, 10450.45);
+  assertMoney(projectYears({ ...base, compounding: 'paycheck', payFreq: 'biweekly' }).futureValue, 10472.84);
+  // The effective annual rate is the same, so a starting balance grows identically
+  const start = { ...base, percent401k: 0, startingBalance: 1000 };
+  assertMoney(projectYears({ ...start, compounding: 'monthly' }).futureValue, 1100);
+});
+
+test('projectDrawdown taxes pretax withdrawals with the bracket calculators', () => {
+  const d = projectDrawdown(
+    { pretax: 1000000 },
+    { method: 'fixed', amount: 100000, years: 30, compounding: 'annual' },
+    Y2025,
+  );
+  // 100,000 less the 15,750 standard deduction reaches the 22% bracket
+  assertMoney(d.data[0].fedTax, 1192.5 + 4386 + (84250 - 48475) * 0.22);
+  const caTaxable = 100000 - Y2025.ca.standardDeduction.Single;
+  assertMoney(d.data[0].caTax, calcCATax(caTaxable, 'Single', Y2025) - Y2025.ca.exemptionCredit.personal);
+  assertMoney(d.data[0].net, 100000 - d.data[0].tax);
+  // No growth: ten full years and then nothing
+  assert.equal(d.data.length, 10);
+  assert.equal(d.lastsYears, 10);
+  assert.equal(d.depleted, true);
+  assertMoney(d.totalWithdrawn, 1000000);
+});
+
+test('projectDrawdown counts a final partial year', () => {
+  const d = projectDrawdown({ pretax: 100000 }, { method: 'fixed', amount: 30000, compounding: 'annual' }, Y2025);
+  assert.equal(d.data.length, 4);
+  assertMoney(d.data[3].withdrawal, 10000);
+  assertMoney(d.lastsYears, 3 + 1 / 3);
+  assert.equal(d.depleted, true);
+});
+
+test('the 4% rule rises with inflation and Roth withdrawals are tax free', () => {
+  const d = projectDrawdown(
+    { roth: 1000000 },
+    { method: 'percent', rate: 4, inflation: 2, returnRate: 5, years: 30 },
+    Y2025,
+  );
+  assertMoney(d.firstWithdrawal, 40000);
+  assertMoney(d.data[1].withdrawal, 40800);
+  assert.equal(d.totalTax, 0);
+  assert.equal(d.depleted, false);
+  assert.equal(d.lastsYears, 30);
+  // Monthly withdrawals leave more invested than a lump sum up front would
+  assert.ok(d.data[0].balance > 1000000 * 1.05 - 40000 * 1.05);
+});
+
+test('projectYears draws the balance down in retirement', () => {
+  const base = {
+    status: 'Single',
+    salary: 100000,
+    afterTaxPercent: 10,
+    years: 2,
+    age: 63,
+    taxYear: 2025,
+    retirementYears: 5,
+    withdrawalMethod: 'fixed',
+    withdrawalAmount: 5000,
+  };
+  const p = projectYears(base);
+  assert.equal(projectYears({ ...base, retirementYears: 0 }).retirement, undefined);
+  assert.equal(p.retirement.data[0].year, 3);
+  assert.equal(p.retirement.data[0].calendarYear, 2027);
+  assert.equal(p.retirement.data[0].age, 65);
+  assertMoney(p.retirement.startingBalance, p.futureValue);
+  // With no growth the after-tax money is all basis and comes out untaxed
+  assertMoney(p.retirement.data[0].taxable, 0);
+  assertMoney(p.retirement.lastsYears, 4);
+});
+
+test('compareTraditionalRoth breaks even when retirement and current marginal rates match', () => {
+  // $100k single in 2025: 22% federal + 9.3% CA on the marginal dollar
+  const base = { status: 'Single', salary: 100000, percent401k: 1, years: 1, taxYear: 2025 };
+  const even = compareTraditionalRoth({ ...base, retirementTaxRate: 31.3 });
+  assertMoney(even.traditional.taxSavingsInvested, 313);
+  assertMoney(even.traditional.afterTaxValue, even.roth.afterTaxValue);
+  assert.equal(compareTraditionalRoth({ ...base, retirementTaxRate: 15 }).better, 'traditional');
+  assert.equal(compareTraditionalRoth({ ...base, retirementTaxRate: 40 }).better, 'roth');
+});
+
+test('calcEmployerMatch applies tiers like brackets', () => {
+  const tiers = [
+    { upTo: 3, rate: 1 },
+    { upTo: 5, rate: 0.5 },
+  ];
+  assertMoney(calcEmployerMatch(2000, 100000, tiers), 2000);
+  assertMoney(calcEmployerMatch(4000, 100000, tiers), 3500);
+  assertMoney(calcEmployerMatch(5000, 100000, tiers), 4000);
+  assertMoney(calcEmployerMatch(10000, 100000, tiers), 4000);
+  assert.equal(calcEmployerMatch(5000, 100000, []), 0);
+  // A tiered formula flows through to the annual match
+  const r = computePaycheck({ status: 'Single', salary: 100000, percent401k: 4, matchTiers: tiers, taxYear: 2025 });
+  assertMoney(r.match, 3500);
+});
+
+test('vestedPercent follows cliff and graded schedules', () => {
+  assert.equal(vestedPercent(undefined, 0), 100);
+  assert.equal(vestedPercent({ type: 'immediate' }, 0), 100);
+  assert.equal(vestedPercent({ type: 'cliff', years: 3 }, 2), 0);
+  assert.equal(vestedPercent({ type: 'cliff', years: 3 }, 3), 100);
+  assert.equal(vestedPercent({ type: 'graded', years: 5 }, 0), 0);
+  assert.equal(vestedPercent({ type: 'graded', years: 5 }, 3), 60);
+  assert.equal(vestedPercent({ type: 'graded', years: 5 }, 7), 100);
+});
+
+test('without a true-up the match stops when deferrals do', () => {
+  const base = { salary: 260000, payFreq: 'biweekly', percent401k: 20, matchRate: 0.5, matchCap: 6 };
+  const perPaycheck = split401k({ ...base, matchTrueUp: false }, Y2025);
+  assertMoney(perPaycheck.match, 3600);
+  assertMoney(perPaycheck.matchForgone, 4200);
+  const trueUp = split401k(base, Y2025);
+  assertMoney(trueUp.match, 7800);
+  assert.equal(trueUp.matchForgone, 0);
+  // Spreading deferrals over the year loses nothing either way
+  const even = split401k({ ...base, percent401k: 9, matchTrueUp: false }, Y2025);
+  assertMoney(even.match, 7800);
+  assert.equal(even.matchForgone, 0);
+});
+
+test('non-elective contributions are paid regardless and count toward 415(c)', () => {
+  const base = { salary: 300000, percent401k: 15, matchRate: 1, matchCap: 6, afterTaxPercent: 30 };
+  const r = split401k({ ...base, nonElectivePercent: 3 }, Y2025);
+  assertMoney(r.nonElective, 9000);
+  // 70,000 - 23,500 deferral - 18,000 match - 9,000 non-elective
+  assertMoney(r.afterTax, 19500);
+  assertMoney(split401k({ salary: 100000, nonElectivePercent: 3 }, Y2025).nonElective, 3000);
+  const p = projectYears({ status: 'Single', salary: 100000, nonElectivePercent: 3, years: 1, taxYear: 2025 });
+  assertMoney(p.data[0].total, 3000);
+  assertMoney(p.totalNonElective, 3000);
+  assertMoney(p.futureValue, 3000);
+});
+
+test('projectYears tracks vested and unvested employer money', () => {
+  const base = {
+    status: 'Single',
+    salary: 100000,
+    percent401k: 6,
+    matchRate: 0.5,
+    matchCap: 6,
+    years: 4,
+    taxYear: 2025,
+    vesting: { type: 'cliff', years: 3 },
+  };
+  const cliff = projectYears(base);
+  assert.deepEqual(cliff.data.map((row) => row.vestedPercent), [0, 0, 100, 100]);
+  assertMoney(cliff.data[1].employerBalance, 6000);
+  assertMoney(cliff.data[1].unvested, 6000);
+  assertMoney(cliff.data[2].unvested, 0);
+  // Prior service counts toward the cliff
+  assert.equal(projectYears({ ...base, yearsOfService: 1 }).data[1].vestedPercent, 100);
+
+  // Unvested money at the end is left out of the after-tax value
+  const graded = projectYears({
+    ...base,
+    years: 2,
+    nonElectivePercent: 3,
+    vesting: { type: 'graded', years: 4 },
+    retirementTaxRate: 0,
+  });
+  assertMoney(graded.futureValue, 24000);
+  assertMoney(graded.unvestedValue, 6000);
+  assertMoney(graded.afterTaxValue, 18000);
+});
+
+test('each spouse vests on their own schedule', () => {
+  const p = projectYears({
+    status: 'MFJ',
+    salary: 100000,
+    percent401k: 6,
+    matchRate: 0.5,
+    matchCap: 6,
+    vesting: { type: 'cliff', years: 2 },
+    years: 1,
+    taxYear: 2025,
+    spouse: { salary: 100000, percent401k: 6, matchRate: 1, matchCap: 6 },
+  });
+  const [self, spouse] = p.data[0].vesting;
+  assertMoney(self.unvested, 3000);
+  assertMoney(spouse.vested, 6000);
+  assertMoney(p.data[0].unvested, 3000);
+});
+
+test('catchupForAge follows the 50+ and 60-63 bands', () => {
+  assert.equal(catchupForAge(undefined, Y2025), 0);
+  assert.equal(catchupForAge(49, Y2025), 0);
+  assert.equal(catchupForAge(50, Y2025), 7500);
+  assert.equal(catchupForAge(59, Y2025), 7500);
+  assert.equal(catchupForAge(60, Y2025), 11250);
+  assert.equal(catchupForAge(63, Y2025), 11250);
+  assert.equal(catchupForAge(64, Y2025), 7500);
+  // The enhanced amount did not exist before 2025
+  assert.equal(catchupForAge(61, Y2024), 7500);
+});
+
+test('age unlocks the catch-up in computePaycheck', () => {
+  const r = computePaycheck({ status: 'Single', salary: 120000, percent401k: 50, age: 61, taxYear: 2025 });
+  assertMoney(r.pretax401k, 23500 + 11250);
+  assertMoney(r.catchup401k, 11250);
+  assert.equal(r.rothCatchupRequired, false);
+});
+
+test('high earners must make catch-up contributions Roth from 2026', () => {
+  const base = { status: 'Single', percent401k: 50, age: 55, taxYear: 2026 };
+  const high = computePaycheck({ ...base, salary: 200000 });
+  assert.equal(high.rothCatchupRequired, true);
+  assertMoney(high.pretax401k, 24500);
+  assertMoney(high.roth401k, 8000);
+  const low = computePaycheck({ ...base, salary: 140000 });
+  assert.equal(low.rothCatchupRequired, false);
+  assertMoney(low.pretax401k, 32500);
+  // It is last year's wages that count
+  const raised = computePaycheck({ ...base, salary: 200000, priorYearWages: 140000 });
+  assert.equal(raised.rothCatchupRequired, false);
+});
+
+test('projectYears applies catch-up by age in each projected year', () => {
+  const p = projectYears({ status: 'Single', salary: 100000, percent401k: 40, age: 48, years: 17, taxYear: 2025 });
+  const byAge = Object.fromEntries(p.data.map((r) => [r.age, r.catchup]));
+  assert.equal(byAge[49], 0);
+  assertMoney(byAge[50], 7500);
+  assertMoney(byAge[60], 11250);
+  assertMoney(byAge[63], 11250);
+  assertMoney(byAge[64], 7500);
+  assert.equal(p.data[0].calendarYear, 2025);
+});
+
+test('projectYears checks the Roth catch-up rule against the prior year', () => {
+  const p = projectYears({ status: 'Single', salary: 145000, raise: 10, percent401k: 50, age: 55, years: 2, taxYear: 2026 });
+  assert.equal(p.data[0].rothCatchupRequired, false);
+  // Year 2 looks at year 1's $145,000, under the (indexed) threshold, so still pretax
+  assert.equal(p.data[1].rothCatchupRequired, false);
+  const q = projectYears({ status: 'Single', salary: 160000, raise: 0, percent401k: 50, age: 55, years: 2, taxYear: 2026 });
+  assert.ok(q.data.every((r) => r.rothCatchupRequired));
+});
+
+test('projectYears counts supplemental pay in the prior-year wages for the Roth catch-up rule', () => {
+  const p = projectYears({
+    status: 'Single',
+    salary: 140000,
+    raise: 0,
+    percent401k: 50,
+    age: 55,
+    years: 2,
+    taxYear: 2026,
+    supplemental: [{ type: 'bonus', amount: 20000 }],
+    supplementalGrowth: 0,
+  });
+  assert.equal(p.data[0].rothCatchupRequired, false);
+  // Year 1 paid $160,000 with the bonus, over the $150,000 threshold
+  assert.equal(p.data[1].rothCatchupRequired, true);
+});
+
+test('HSA deductions skip federal tax and FICA but not California tax', () => {
+  const base = { status: 'Single', salary: 100000, percent401k: 6, taxYear: 2025 };
+  const r = computePaycheck({ ...base, benefits: [{ type: 'hsa', amount: 4000 }] });
+  assertMoney(r.taxableFed, 74250);
+  assertMoney(r.fedTax, 11249);
+  assertMoney(r.taxableCA, 88294);
+  assertMoney(r.caTax, 4496.98);
+  assertMoney(r.ss, 5952);
+  assertMoney(r.medicare, 1392);
+  assertMoney(r.casdi, 1152);
+  assertMoney(r.benefitsTotal, 4000);
+  // 68524.02 less the $4,000 deduction plus $880 federal, $306 FICA and $48 SDI saved
+  assertMoney(r.takeHome, 65758.02);
+});
+
+test('CA exemption credits phase out on federal AGI, which an HSA lowers and CA AGI does not', () => {
+  // $252,000 of federal AGI sits under the $252,203 threshold; CA AGI of $256,000 would cost two steps
+  const r = computePaycheck({ status: 'Single', salary: 256000, taxYear: 2025, benefits: [{ type: 'hsa', amount: 4000 }] });
+  assertMoney(r.taxableFed + Y2025.federal.standardDeduction.Single, 252000);
+  assertMoney(r.caCredits.personal, 153);
+});
+
+test('Section 125 premiums reduce every tax base', () => {
+  const r = computePaycheck({
+    status: 'Single',
+    salary: 100000,
+    percent401k: 6,
+    taxYear: 2025,
+    benefits: [{ type: 'section125', amount: 3000 }],
+  });
+  assertMoney(r.fedTax, 11469);
+  // 3000 less CA taxable income at the 9.3% bracket
+  assertMoney(r.caTax, 4217.98);
+  assertMoney(r.fica, 7650 - 229.5);
+  assertMoney(r.takeHome, 66728.52);
+});
+
+test('custom deductions take the treatment they are given', () => {
+  const after = computePaycheck({ status: 'Single', salary: 100000, taxYear: 2025, benefits: [{ type: 'custom', amount: 1000 }] });
+  const plain = computePaycheck({ status: 'Single', salary: 100000, taxYear: 2025 });
+  assertMoney(after.fedTax, plain.fedTax);
+  assertMoney(after.takeHome, plain.takeHome - 1000);
+  const fedOnly = computePaycheck({
+    status: 'Single',
+    salary: 100000,
+    taxYear: 2025,
+    benefits: [{ type: 'custom', amount: 1000, federal: true }],
+  });
+  assertMoney(fedOnly.fedTax, plain.fedTax - 220);
+  assertMoney(fedOnly.caTax, plain.caTax);
+  assertMoney(fedOnly.fica, plain.fica);
+});
+
+test('calcBenefitDeductions caps each type at its annual limit', () => {
+  const r = calcBenefitDeductions(
+    [
+      { type: 'healthFsa', amount: 5000 },
+      { type: 'hsa', amount: 6000 },
+      { type: 'hsa', amount: 1000 },
+      { type: 'commuter', amount: 5000 },
+      { type: 'section125', amount: 12000 },
+    ],
+    { status: 'Single', age: 40 },
+    Y2025,
+  );
+  assert.deepEqual(
+    r.items.map((i) => i.amount),
+    [3300, 4300, 0, 3900, 12000],
+  );
+  const family = calcBenefitDeductions([{ type: 'hsa', coverage: 'family', amount: 20000 }], { age: 55 }, Y2025);
+  assertMoney(family.total, 9550);
+  assert.equal(family.ca, 0);
+  const override = calcBenefitDeductions([{ type: 'healthFsa', amount: 5000, limit: 4000 }], {}, Y2025);
+  assertMoney(override.total, 4000);
+});
+
+test('the dependent-care FSA limit is shared by the household', () => {
+  const dcfsa = [{ type: 'dependentCareFsa', amount: 5000 }];
+  const r = computePaycheck({
+    status: 'MFJ',
+    salary: 100000,
+    taxYear: 2025,
+    benefits: dcfsa,
+    spouse: { salary: 80000, benefits: dcfsa },
+  });
+  assert.deepEqual(
+    r.earners.map((e) => e.benefitsTotal),
+    [5000, 0],
+  );
+  const mfs = computePaycheck({ status: 'MFS', salary: 100000, taxYear: 2025, benefits: dcfsa });
+  assertMoney(mfs.benefitsTotal, 2500);
+  assertMoney(computePaycheck({ status: 'HOH', salary: 100000, taxYear: 2026, benefits: dcfsa }).benefitsTotal, 5000);
+});
+
+test('projectYears grows benefit deductions with inflation', () => {
+  const p = projectYears({
+    status: 'Single',
+    salary: 100000,
+    years: 2,
+    inflation: 2.5,
+    taxYear: 2025,
+    benefits: [{ type: 'section125', amount: 3000 }],
+  });
+  assertMoney(p.data[0].benefits, 3000);
+  assertMoney(p.data[1].benefits, 3075);
+});
+
+test('computePaySchedule shows mid-year cutoffs and the match lost to front-loading', () => {
+  const inputs = {
+    status: 'Single',
+    salary: 260000,
+    payFreq: 'biweekly',
+    percent401k: 20,
+    matchRate: 0.5,
+    matchCap: 6,
+    matchTrueUp: false,
+    taxYear: 2025,
+  };
+  const [s] = computePaySchedule(inputs);
+  assert.equal(s.periods.length, 26);
+  // $2,000 a paycheck reaches $23,500 partway through paycheck 12
+  assert.equal(s.maxOutPeriod, 12);
+  assertMoney(s.periods[11].pretax401k, 1500);
+  assertMoney(s.periods[12].pretax401k, 0);
+  // $10,000 paychecks pass the $176,100 wage base in paycheck 18
+  assert.equal(s.ssCutoffPeriod, 18);
+  assertMoney(s.periods[17].ss, 6100 * 0.062);
+  assertMoney(s.periods[18].ss, 0);
+  assert.equal(s.addlMedicarePeriod, 21);
+  // 12 paychecks of $300 match against $7,800 for the year
+  assertMoney(s.totals.match, 3600);
+  assertMoney(s.lostMatch, 4200);
+  assertMoney(s.annualMatch, 3600);
+  assertMoney(s.evenPercent, (23500 / 260000) * 100);
+  // A true-up pays the rest with the last paycheck
+  const [trueUp] = computePaySchedule({ ...inputs, matchTrueUp: true });
+  assertMoney(trueUp.periods[25].match, 4200);
+  assertMoney(trueUp.totals.match, 7800);
+  assert.equal(trueUp.lostMatch, 0);
+  // The schedule adds back up to the annual figures once the return is settled
+  const annual = computePaycheck(inputs);
+  assertMoney(s.totals.net - compareWithholding(inputs).balanceDue, annual.takeHome);
+  assertMoney(s.totals.ss, annual.ss);
+  assertMoney(s.medicareDue, 0);
+});
+
+test('Additional Medicare withholding ignores filing status', () => {
+  const [s] = computePaySchedule({ status: 'MFJ', salary: 300000, payFreq: 'monthly', taxYear: 2025 });
+  // Withheld on $100,000 over $200,000, owed on $50,000 over $250,000
+  assertMoney(s.totals.medicare - 300000 * 0.0145, 900);
+  assertMoney(s.medicareDue, -450);
+  assert.equal(s.lostMatch, 0);
+  assert.equal(s.maxOutPeriod, null);
+});
+
+test('computePaySchedule keeps high-earner catch-up deferrals Roth', () => {
+  const [s] = computePaySchedule({ status: 'Single', salary: 200000, payFreq: 'monthly', percent401k: 50, age: 55, taxYear: 2026 });
+  assertMoney(s.totals.pretax401k, 24500);
+  assertMoney(s.totals.roth401k, 8000);
+  assert.equal(s.maxOutPeriod, 4);
+});
+
+test('computePaySchedule gives each spouse their own schedule', () => {
+  const inputs = {
+    status: 'MFJ',
+    salary: 100000,
+    payFreq: 'weekly',
+    taxYear: 2025,
+    spouse: { salary: 80000, payFreq: 'semimonthly' },
+  };
+  const schedules = computePaySchedule(inputs);
+  assert.deepEqual(
+    schedules.map((s) => s.periods.length),
+    [52, 24],
+  );
+  const net = schedules[0].totals.net + schedules[1].totals.net;
+  assertMoney(net - compareWithholding(inputs).balanceDue, computePaycheck(inputs).takeHome);
+});
+
+test('supplemental wages are withheld at 22%, then 37% past $1 million', () => {
+  const r = calcSupplementalWithholding(
+    [
+      // Listed out of order; withholding follows the dates
+      { type: 'rsu', amount: 300000, date: '2025-06-01' },
+      { type: 'bonus', amount: 900000, date: '2025-02-01' },
+    ],
+    Y2025,
+  );
+  assert.deepEqual(
+    r.events.map((e) => e.type),
+    ['bonus', 'rsu'],
+  );
+  assertMoney(r.events[0].fedWithheld, 198000);
+  // $100,000 at 22% and $200,000 at 37%
+  assertMoney(r.events[1].fedWithheld, 96000);
+  assertMoney(r.caWithheld, 1200000 * 0.1023);
+  assertMoney(r.wages, 1200000);
+});
+
+test('bonus and RSU income is taxed as wages with a balance due at filing', () => {
+  const r = computePaycheck({
+    status: 'Single',
+    salary: 200000,
+    taxYear: 2025,
+    supplemental: [
+      { type: 'bonus', amount: 50000, date: '2025-03-14' },
+      { type: 'rsu', amount: 100000, date: '2025-08-15' },
+    ],
+  });
+  assertMoney(r.salary, 200000);
+  assertMoney(r.wages, 350000);
+  // 334,250 taxable reaches the 35% bracket
+  assertMoney(r.fedTax, 86534.75);
+  // The $49,467.75 it adds over salary alone, less $33,000 withheld at 22%
+  assertMoney(r.supplementalWithheld.federal, 33000);
+  assertMoney(r.balanceDue.federal, 16467.75);
+  assertMoney(r.ss, 176100 * 0.062);
+  const plain = computePaycheck({ status: 'Single', salary: 200000, taxYear: 2025 });
+  assert.deepEqual(plain.balanceDue, { federal: 0, ca: 0, total: 0 });
+});
+
+test('supplemental pay lands in the paycheck for its date', () => {
+  const inputs = {
+    status: 'Single',
+    salary: 200000,
+    payFreq: 'biweekly',
+    taxYear: 2025,
+    supplemental: [
+      { type: 'bonus', amount: 50000, date: '2025-03-14' },
+      { type: 'rsu', amount: 100000, date: '2025-08-15' },
+    ],
+  };
+  const [s] = computePaySchedule(inputs);
+  assert.deepEqual(
+    s.periods.filter((row) => row.supplemental > 0).map((row) => row.period),
+    [6, 17],
+  );
+  assertMoney(s.periods[5].fedTax - s.periods[4].fedTax, 11000);
+  // The RSU vest pushes wages past the SS wage base
+  assert.equal(s.ssCutoffPeriod, 17);
+  // Flat-rate withholding leaves a balance due at filing
+  const comparison = compareWithholding(inputs);
+  assert.ok(comparison.federal.balanceDue > 0);
+  assertMoney(s.totals.net - comparison.balanceDue, computePaycheck(inputs).takeHome);
+});
+
+test('projectYears grows supplemental pay with raises unless told otherwise', () => {
+  const base = {
+    status: 'Single',
+    salary: 100000,
+    raise: 10,
+    years: 2,
+    taxYear: 2025,
+    supplemental: [{ type: 'bonus', amount: 10000 }],
+  };
+  assertMoney(projectYears(base).data[1].supplemental, 11000);
+  const flat = projectYears({ ...base, supplementalGrowth: 0 });
+  assertMoney(flat.data[1].supplemental, 10000);
+  // In the 22% and 9.3% brackets: exact federally, over-withheld at 10.23% for CA
+  assertMoney(flat.data[0].balanceDue, -93);
+});
+
+test('calcFederalWithholding follows the Pub. 15-T percentage method', () => {
+  const Y = TAX_YEARS[2025];
+  // $100,000 less the $8,600 allowance, taxed from $6,400: the tax on $85,000
+  assertMoney(calcFederalWithholding(100000 / 26, 26, { status: 'Single' }, Y) * 26, 13614);
+  // Step 2 checked: half the tax on twice the wages less the standard deduction
+  assertMoney(calcFederalWithholding(100000 / 26, 26, { status: 'Single', multipleJobs: true }, Y) * 26, 18623.5);
+  // Married filing separately withholds as Single
+  assertMoney(
+    calcFederalWithholding(5000, 12, { status: 'MFS' }, Y),
+    calcFederalWithholding(5000, 12, { status: 'Single' }, Y),
+  );
+  assertMoney(calcFederalWithholding(3000, 26, { status: 'MFJ' }, Y) * 26, 5283);
+  // Step 3 comes off per paycheck and Step 4(c) is added on
+  assertMoney(
+    calcFederalWithholding(3000, 26, { status: 'MFJ', dependentsCredit: 2600, extraWithholding: 25 }, Y),
+    5283 / 26 - 100 + 25,
+  );
+  // Steps 4(a) and 4(b) move annual wages
+  assertMoney(
+    calcFederalWithholding(3000, 26, { status: 'MFJ', otherIncome: 10000, deductions: 10000 }, Y),
+    5283 / 26,
+  );
+  assert.equal(calcFederalWithholding(300, 26, { status: 'Single' }, Y), 0);
+});
+
+test('calcCAWithholding follows EDD Method B', () => {
+  const Y = TAX_YEARS[2025];
+  // Tax on $100,000 less the $5,706 standard deduction, less one $153 allowance
+  assertMoney(calcCAWithholding(100000 / 26, 26, { status: 'Single', allowances: 1 }, Y) * 26, 5054.98);
+  // Each additional allowance is a $1,000 deduction, here at 9.3%
+  assertMoney(
+    calcCAWithholding(100000 / 26, 26, { status: 'Single', allowances: 1, additionalAllowances: 2 }, Y) * 26,
+    5054.98 - 186,
+  );
+  // Wages under the low income exemption have nothing withheld
+  assert.equal(calcCAWithholding(500, 26, { status: 'Single', allowances: 0 }, Y), 0);
+  // Married with fewer than two allowances takes the single standard deduction
+  const oneAllowance = calcCAWithholding(5000, 12, { status: 'MFJ', allowances: 1 }, Y);
+  const twoAllowances = calcCAWithholding(5000, 12, { status: 'MFJ', allowances: 2 }, Y);
+  assert.ok(oneAllowance - twoAllowances > 153 / 12);
+});
+
+test('compareWithholding finds the gap and recommends forms that close it', () => {
+  // Pub. 15-T kept the $15,000 standard deduction for 2025, $750 under the return's
+  const single = compareWithholding({ status: 'Single', salary: 100000, payFreq: 'biweekly', percent401k: 6, taxYear: 2025 });
+  assertMoney(single.federal.liability, 12129);
+  assertMoney(single.federal.balanceDue, -165);
+  assert.equal(single.federal.recommended.dependentsCredit, 165);
+  assertMoney(single.federal.balanceDueAfter, 0);
+  assertMoney(single.ca.balanceDue, 0);
+
+  // Two earners who both claim MFJ with Step 2 unchecked are under-withheld
+  const couple = compareWithholding({
+    status: 'MFJ',
+    salary: 150000,
+    payFreq: 'biweekly',
+    taxYear: 2025,
+    w4: { multipleJobs: false },
+    spouse: { salary: 150000, payFreq: 'biweekly', w4: { multipleJobs: false } },
+  });
+  assert.ok(couple.federal.balanceDue > 15000);
+  assert.ok(couple.federal.recommended.extraWithholding > 0);
+  assert.ok(Math.abs(couple.federal.balanceDueAfter) < 100);
+  // Left to the defaults both W-4s check Step 2, which closes most of the gap by itself
+  const checked = compareWithholding({
+    status: 'MFJ',
+    salary: 150000,
+    payFreq: 'biweekly',
+    taxYear: 2025,
+    spouse: { salary: 150000, payFreq: 'biweekly' },
+  });
+  assert.ok(checked.schedules.every((s) => s.w4.multipleJobs));
+  assert.ok(Math.abs(checked.federal.balanceDue) < 500);
+
+  // CA withholding gives each dependent only a personal credit, so it over-withholds
+  const family = compareWithholding({ status: 'MFJ', salary: 100000, payFreq: 'biweekly', children: 2, taxYear: 2025 });
+  assertMoney(family.ca.balanceDue, -2 * (475 - 153));
+  assert.ok(family.ca.recommended.additionalAllowances > 0);
+  assert.ok(Math.abs(family.ca.balanceDueAfter) < 100);
+});
+
+test('marginal rates show the Social Security and Additional Medicare kinks', () => {
+  const at = (salary) => calcMarginalRates({ status: 'Single', salary, taxYear: 2025 });
+  const below = at(100000);
+  assertMoney(below.federal, 0.22);
+  assertMoney(below.ca, 0.093);
+  assertMoney(below.fica, 0.0765);
+  assertMoney(below.casdi, 0.012);
+  assertMoney(below.combined, 0.22 + 0.093 + 0.0765 + 0.012);
+  // Past the $176,100 wage base only Medicare is left
+  assertMoney(at(180000).fica, 0.0145);
+  // Over $200,000 Additional Medicare adds 0.9%, and federal is in the 32% bracket
+  const high = at(240000);
+  assertMoney(high.fica, 0.0235);
+  assertMoney(high.federal, 0.32);
+  // Deferrals are held in dollars, so the next dollar of pay is fully taxed
+  assertMoney(calcMarginalRates({ status: 'Single', salary: 100000, percent401k: 20, taxYear: 2025 }).federal, 0.22);
+});
+
+test('bracketPosition places taxable income in its bracket', () => {
+  const brackets = Y2025.federal.brackets.Single;
+  const rows = bracketPosition(84250, brackets);
+  const current = rows.filter((row) => row.current);
+  assert.equal(current.length, 1);
+  assert.equal(current[0].rate, 0.22);
+  assert.equal(current[0].from, 48475);
+  assertMoney(current[0].toNext, 103350 - 84250);
+  assertMoney(rows.reduce((sum, row) => sum + row.income, 0), 84250);
+  assertMoney(rows.reduce((sum, row) => sum + row.tax, 0), calcFederalTax(84250, 'Single', Y2025));
+  assert.ok(rows.slice(3).every((row) => row.income === 0));
+  // Zero income sits at the bottom; the top bracket never ends
+  assert.ok(bracketPosition(0, brackets)[0].current);
+  assert.equal(bracketPosition(1e7, brackets).at(-1).toNext, Infinity);
+});
+
+test('calcTaxRates reports effective rates on wages alongside marginal rates', () => {
+  const inputs = { status: 'Single', salary: 100000, taxYear: 2025 };
+  const year = computePaycheck(inputs);
+  const rates = calcTaxRates(inputs);
+  assertMoney(rates.effective.federal, year.fedTax / 100000);
+  assertMoney(rates.effective.fica, 0.0765);
+  assertMoney(rates.effective.combined, (year.fedTax + year.caTax + year.fica + year.casdi) / 100000);
+  assert.ok(rates.effective.combined < rates.marginal.combined);
+  assert.equal(rates.brackets.federal.find((row) => row.current).rate, 0.22);
+  assert.equal(rates.brackets.ca.find((row) => row.current).rate, 0.093);
+  assert.equal(calcTaxRates({ status: 'Single', salary: 0, taxYear: 2025 }).effective.combined, 0);
+  // A paycheck the caller already computed is reused as is
+  assert.deepEqual(calcTaxRates(inputs, year), rates);
+});
+
+test('sweepSalary drops the combined marginal rate at the Social Security wage base', () => {
+  const sweep = sweepSalary({ status: 'Single', salary: 100000, percent401k: 6, taxYear: 2025 }, 200000, 20);
+  assert.equal(sweep.length, 21);
+  assert.equal(sweep[0].salary, 0);
+  assert.equal(sweep[20].salary, 200000);
+  for (let i = 1; i < sweep.length; i++) assert.ok(sweep[i].takeHome > sweep[i - 1].takeHome);
+  const before = sweep.find((row) => row.salary === 170000);
+  const after = sweep.find((row) => row.salary === 180000);
+  assertMoney(before.combined - after.combined, 0.062);
+});
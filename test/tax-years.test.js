@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TAX_YEARS,
+  SUPPORTED_TAX_YEARS,
+  DEFAULT_TAX_YEAR,
+  FILING_STATUSES,
+  getTaxYear,
+  indexTaxYear,
+} from '../src/tax-years.js';
+
+test('every tax year has complete, ascending bracket tables', () => {
+  for (const year of SUPPORTED_TAX_YEARS) {
+    const rules = TAX_YEARS[year];
+    assert.equal(rules.year, year);
+    for (const table of [rules.federal.brackets, rules.ca.brackets]) {
+      for (const [status, brackets] of Object.entries(table)) {
+        const label = `${year} ${status}`;
+        assert.equal(brackets[brackets.length - 1].upTo, Infinity, `${label} ends at Infinity`);
+        for (let i = 1; i < brackets.length; i++) {
+          assert.ok(brackets[i].upTo > brackets[i - 1].upTo, `${label} thresholds ascend`);
+          assert.ok(brackets[i].rate > brackets[i - 1].rate, `${label} rates ascend`);
+        }
+        assert.ok(rules.federal.standardDeduction[status] > 0, `${label} federal deduction`);
+        assert.ok(rules.ca.standardDeduction[status] > 0, `${label} CA deduction`);
+        assert.ok(rules.fica.addlMedicareThreshold[status] > 0, `${label} Additional Medicare threshold`);
+      }
+    }
+  }
+});
+
+test('every tax year covers every filing status', () => {
+  const statuses = FILING_STATUSES.map((s) => s.value).sort();
+  for (const year of SUPPORTED_TAX_YEARS) {
+    const rules = TAX_YEARS[year];
+    for (const table of [
+      rules.federal.brackets,
+      rules.federal.standardDeduction,
+      rules.ca.brackets,
+      rules.ca.standardDeduction,
+      rules.fica.addlMedicareThreshold,
+      rules.benefits.dependentCareFsa,
+    ]) {
+      assert.deepEqual(Object.keys(table).sort(), statuses, `${year}`);
+    }
+  }
+});
+
+test('getTaxYear returns the default year and rejects unknown years', () => {
+  assert.equal(getTaxYear().year, DEFAULT_TAX_YEAR);
+  assert.equal(getTaxYear(2024).fica.ssWageBase, 168600);
+  assert.throws(() => getTaxYear(1999), RangeError);
+});
+
+test('indexTaxYear leaves the table alone at a factor of 1', () => {
+  assert.equal(indexTaxYear(TAX_YEARS[2025], 1), TAX_YEARS[2025]);
+  assert.deepEqual(indexTaxYear(TAX_YEARS[2025], 1, 2027), { ...TAX_YEARS[2025], year: 2027 });
+});
+
+test('indexTaxYear scales thresholds but not rates or statutory amounts', () => {
+  const base = TAX_YEARS[2025];
+  const next = indexTaxYear(base, 1.1);
+  assert.equal(next.year, 2025);
+  assert.equal(indexTaxYear(base, 1.1, 2029).year, 2029);
+  assert.equal(next.federal.brackets.Single[0].upTo, Math.round(11925 * 1.1));
+  assert.equal(next.federal.brackets.Single[0].rate, 0.10);
+  assert.equal(next.ca.brackets.MFJ.at(-1).upTo, Infinity);
+  assert.equal(next.federal.standardDeduction.MFJ, Math.round(31500 * 1.1));
+  assert.equal(next.fica.ssWageBase, Math.round(176100 * 1.1));
+  assert.deepEqual(next.fica.addlMedicareThreshold, base.fica.addlMedicareThreshold);
+  assert.equal(next.ca.sdiRate, base.ca.sdiRate);
+  // 23500 * 1.1 = 25850, rounded down to a multiple of $500
+  assert.equal(next.retirement.limit401k, 25500);
+  // Benefit limits round down to $50 (HSA, FSA) and $5 (commuter); dependent care is fixed
+  assert.equal(next.benefits.hsa.self, 4700);
+  assert.equal(next.benefits.hsa.family, 9400);
+  assert.equal(next.benefits.hsa.catchup55, 1000);
+  assert.equal(next.benefits.healthFsa, 3600);
+  assert.equal(next.benefits.commuterMonthly, 355);
+  assert.deepEqual(next.benefits.dependentCareFsa, base.benefits.dependentCareFsa);
+  // The source table is not mutated
+  assert.equal(base.federal.brackets.Single[0].upTo, 11925);
+});